@@ -59,6 +59,10 @@ function headline(a, severity) {
     if (severity.level === 'extreme') {
         return `Extremely dangerous environment with ${cape} J/kg of CAPE and ${shear} kt of deep-layer shear. This profile supports violent supercells and potentially significant tornadoes.`;
     }
+    const hailDominant = a.ship >= 1 && a.stp < 1;
+    if (hailDominant && (severity.level === 'high' || severity.level === 'enhanced')) {
+        return `Large hail is the main threat. Strong instability (${cape} J/kg) and ${shear} kt of deep-layer shear support organized storms, and a Significant Hail Parameter of ${a.ship} points to hail of ${a.hailSize.label.toLowerCase()}, while the low-level ingredients for tornadoes are lacking.`;
+    }
     if (severity.level === 'high') {
         return `Highly favorable environment for severe thunderstorms. Strong instability (${cape} J/kg) combined with significant wind shear (${shear} kt) supports supercells capable of large hail and tornadoes.`;
     }
@@ -71,6 +75,10 @@ function headline(a, severity) {
         }
         return `Marginal severe potential. Some combination of instability (${cape} J/kg) and shear (${shear} kt) may support isolated strong storms, but the overall environment is not strongly favorable.`;
     }
+    const w = a.winter;
+    if (cape < 100 && w?.relevant && w.precipType.id !== 'none') {
+        return `Cold-season profile with no convective threat. The thermal structure points to ${w.precipType.label.toLowerCase()} at the ground${w.warmNose ? `, with a warm nose aloft carrying ${w.warmNose.energy} J/kg of melting energy` : ''}.`;
+    }
     if (cape < 100) {
         return `Very stable atmosphere with minimal buoyancy (${cape} J/kg). Thunderstorm development is unlikely in this environment.`;
     }
@@ -104,11 +112,14 @@ function instabilityAnalysis(a) {
     } else if (cin < -100) {
         parts.push(`CIN of <span class="highlight">${cin} J/kg is a substantial cap</span>. Storms will need a decent trigger (frontal passage, outflow boundary, or terrain forcing) to break through. Delayed initiation is likely, but can lead to explosive development once the cap breaks.`);
     } else if (cin < -25) {
-        parts.push(`CIN of <span class="highlight">${cin} J/kg is moderate</span>. There's a noticeable cap, but it's weak enough that afternoon heating or a modest boundary could break it. Once storms initiate, they should sustain easily.`);
+        parts.push(`CIN of <span class="highlight">${cin} J/kg is moderate</span>. There's a noticeable cap, but it's weak enough that heating or a modest boundary could break it. Once storms initiate, they should sustain easily.`);
     } else {
         parts.push(`CIN of <span class="highlight">${cin} J/kg is weak or nonexistent</span>. There's virtually no cap — storms can fire easily with minimal forcing. This can mean widespread initiation, which may limit individual storm intensity.`);
     }
 
+    const cap = capBreaking(a);
+    if (cap) parts.push(cap);
+
     // LCL interpretation
     if (a.lclHeight < 800) {
         parts.push(`The LCL is very low at ${a.lclHeight}m AGL, indicating a moist surface layer. Low LCLs correlate with increased tornado probability if storms rotate.`);
@@ -118,9 +129,89 @@ function instabilityAnalysis(a) {
         parts.push(`The LCL is relatively high at ${a.lclHeight}m AGL, suggesting drier surface air. High-based storms with increased wind/downburst risk but reduced tornado threat.`);
     }
 
+    const dilution = entrainmentNote(a);
+    if (dilution) parts.push(dilution);
+
+    parts.push(downdraftWinds(a));
+
     return parts.join('<br><br>');
 }
 
+/**
+ * Whether daytime heating alone reaches the convective temperature, and how
+ * much warming or moistening it would take
+ */
+function capBreaking(a) {
+    const c = a.convective;
+    if (c.convectiveTemp == null) return null;
+    const sfc = a.levels.find(l => l.temp != null && l.dewpoint != null);
+    const ccl = `CCL ${c.ccl.height} m AGL, ${c.ccl.pressure} hPa`;
+    const max = c.maxTemp.forecast;
+    const maxNote = max != null ? ` Mixing down ${c.maxTemp.level} hPa air gives a maximum near <span class="highlight">${max}°C</span>` : '';
+    const moisten = c.moisteningNeeded > 0
+        ? ` Without any warming, dewpoints rising to ${c.requiredDewpoint}°C (+${c.moisteningNeeded}°C) would break it instead.`
+        : '';
+
+    if (c.warmingNeeded === 0) {
+        return `The surface (${sfc.temp}/${sfc.dewpoint}°C) has already reached the <strong>convective temperature of ${c.convectiveTemp}°C</strong> (${ccl}), so thermals can reach their condensation level without further heating.`;
+    }
+    if (c.capBreaks) {
+        return `<strong>Heating alone should break the cap.</strong> The convective temperature is ${c.convectiveTemp}°C (${ccl}), ${c.warmingNeeded}°C above the current ${sfc.temp}°C.${maxNote}, enough to get there.${moisten}`;
+    }
+    if (max == null) {
+        return `The convective temperature is ${c.convectiveTemp}°C (${ccl}), ${c.warmingNeeded}°C above the current ${sfc.temp}°C.${moisten}`;
+    }
+    return `<strong>Heating alone is unlikely to break the cap.</strong> The convective temperature is ${c.convectiveTemp}°C (${ccl}), ${c.warmingNeeded}°C above the current ${sfc.temp}°C.${maxNote}, ${Math.round((c.convectiveTemp - max) * 10) / 10}°C short.${moisten} Otherwise storms need a boundary or other lift to get going.`;
+}
+
+/**
+ * How much of the undilute CAPE survives entrainment (ECAPE), for the ML
+ * parcel or the MU parcel when the mixed layer has no CAPE
+ */
+function entrainmentNote(a) {
+    const [name, cape, e] = a.mlcape > 0 ? ['mixed-layer', a.mlcape, a.ecape.ml] : ['most-unstable', a.mucape, a.ecape.mu];
+    if (cape < 100 || e.ratio == null) return null;
+
+    const inflow = a.ecape.srInflow;
+    const weakInflow = inflow != null && inflow < 15;
+    const cause = weakInflow
+        ? `weak storm-relative inflow (${inflow} kt in the lowest km) keeps updrafts narrow, so they mix in more of the surrounding air`
+        : `the air updrafts mix in is dry relative to saturation (NCAPE ${e.ncape} J/kg)`;
+
+    if (e.ratio < 40) {
+        return `<strong>Entrainment severely erodes the available instability.</strong> Once an updraft mixes in environmental air, the ${name} parcel keeps only ${e.ratio}% of its CAPE: entraining CAPE (ECAPE) is <span class="highlight">${e.ecape} J/kg</span> against ${cape} J/kg undilute, because ${cause}. Expect updrafts well short of what the parcel theory suggests, and storms that may struggle to sustain themselves.`;
+    }
+    if (e.ratio < 70) {
+        return `Entrainment trims the instability: the ${name} parcel's entraining CAPE (ECAPE) is <span class="highlight">${e.ecape} J/kg</span>, ${e.ratio}% of the undilute ${cape} J/kg, as ${cause}.`;
+    }
+    return `Entrainment costs little here. The ${name} parcel's entraining CAPE (ECAPE) is <span class="highlight">${e.ecape} J/kg</span>, ${e.ratio}% of the undilute value, thanks to ${weakInflow ? 'a moist environment' : `${inflow} kt of storm-relative inflow feeding wide updrafts`}.`;
+}
+
+/**
+ * Damaging-wind discussion from DCAPE, with the LCL and PW as modifiers
+ */
+function downdraftWinds(a) {
+    const { dcape, coldPool, outflowTemp, dcapeOrigin } = a;
+    if (!dcapeOrigin) {
+        return `Downdraft potential could not be estimated — the profile lacks moisture data in the lowest 400 hPa.`;
+    }
+
+    const source = `Air from near ${dcapeOrigin} hPa, cooled by evaporation, would reach the ground at about ${outflowTemp}°C — <span class="highlight">${coldPool}°C colder</span> than the surface air.`;
+    const dry = a.lclHeight > 1500 && a.pw < 1.0;
+    const wet = a.pw > 1.5;
+
+    if (dcape >= 1200) {
+        return `<strong>DCAPE of ${dcape} J/kg is very high.</strong> ${source} Downdrafts would accelerate hard on the way down, and ${dry ? 'with high cloud bases over a dry column, dry microbursts with destructive gusts are a real threat even from weak-looking storms' : wet ? 'with this much water loading, wet downbursts and damaging outflow surges are likely with the stronger cores' : 'damaging straight-line winds are a primary hazard with any mature storm'}. Expect a strong, fast-spreading cold pool.`;
+    }
+    if (dcape >= 900) {
+        return `<strong>DCAPE of ${dcape} J/kg is strong.</strong> ${source} This supports vigorous downdrafts and a robust cold pool; ${dry ? 'the high, dry cloud bases favor microbursts' : 'organized clusters could produce swaths of damaging wind as outflow surges ahead'}.`;
+    }
+    if (dcape >= 600) {
+        return `DCAPE of <span class="highlight">${dcape} J/kg</span> is moderate. ${source} Gusty outflow is likely with mature storms, and ${dry ? 'isolated dry microbursts are possible beneath high-based cells' : 'localized damaging gusts are possible in the strongest cores'}.`;
+    }
+    return `DCAPE of <span class="highlight">${dcape} J/kg</span> is weak. ${source} Downdrafts and outflow should be modest, so damaging winds would need help from strong winds aloft or storm organization.`;
+}
+
 /**
  * Generate wind shear analysis
  */
@@ -162,9 +253,73 @@ function shearAnalysis(a) {
         parts.push(`The hodograph is primarily straight (low curvature with only ${srh03} m²/s² 0-3 km SRH but ${shear06} kt deep shear). Straight hodographs favor splitting storms — both left and right movers — with the main threat being large hail and damaging winds rather than tornadoes.`);
     }
 
+    // Storm motion
+    const sm = a.stormMotion;
+    if (sm.source === 'user') {
+        parts.push(`SRH and storm-relative winds here use your storm motion of <span class="highlight">${sm.dir}° at ${sm.spd} kt</span> instead of the Bunkers right mover. Storms moving this way see ${a.srh01} m²/s² of 0-1 km and ${a.srh03} m²/s² of 0-3 km SRH, with ${a.srWind02 ?? 'N/A'} kt of 0-2 km storm-relative inflow.`);
+    } else {
+        parts.push(`These values assume the Bunkers right-mover motion of ${sm.dir}° at ${sm.spd} kt. A left-moving split would see <span class="highlight">${a.srh03Left} m²/s²</span> of 0-3 km SRH${a.srh03Left < 0 ? ' — negative, the sense that favors anticyclonic left-split supercells' : ''}. Storm-relative inflow in the lowest 2 km is ${a.srWind02 ?? 'N/A'} kt${a.srWind02 != null && a.srWind02 < 15 ? ', weak enough that storms may struggle to stay organized' : ''}. If radar shows storms deviating from Bunkers, enter the observed motion to update these numbers.`);
+    }
+
+    const srProfile = stormRelativeProfile(a);
+    if (srProfile) parts.push(srProfile);
+
+    // Corfidi vectors matter when storms grow upscale into lines and clusters
+    if (a.corfidi) {
+        const { upwind, downwind } = a.corfidi;
+        parts.push(`If storms congeal into an MCS or QLCS, Corfidi vectors suggest ${downwind.spd >= 40 ? `<strong>fast forward propagation</strong> toward ${(downwind.dir + 180) % 360}° at ${downwind.spd} kt — a setup that favors bowing segments and damaging winds` : `downwind-propagating clusters moving ${downwind.spd} kt from ${downwind.dir}°`}. The upwind (back-building) vector is ${upwind.spd} kt${upwind.spd <= 10 ? `, slow enough that cells can train over the same area and cause flash flooding` : ''}. The 0-6 km mean wind is ${a.meanWind06.dir}° at ${a.meanWind06.spd} kt.`);
+    }
+
+    // Effective inflow layer
+    const eff = a.effectiveLayer;
+    if (!eff) {
+        parts.push(`No level in the lowest 300 hPa produces a parcel with at least 100 J/kg of CAPE and CIN weaker than -250 J/kg, so there is <span class="highlight">no effective inflow layer</span>. Storms rooted in this profile are unlikely, and the fixed-layer shear values above describe wind the storms would not ingest.`);
+    } else if (a.elevatedInflow) {
+        parts.push(`<strong>The effective inflow layer is elevated</strong>, from ${eff.bottomHeight} to ${eff.topHeight} m AGL (${eff.bottomPressure}-${eff.topPressure} hPa). Surface air is too stable to feed storms, so updrafts would draw from above the surface. Elevated storms can still produce large hail, but the tornado threat is greatly reduced because the storms are cut off from the low-level spin near the ground. Effective SRH over that layer is <span class="highlight">${a.esrh} m²/s²</span> with ${a.ebwd} kt of effective bulk shear.`);
+    } else {
+        parts.push(`Storms would draw their inflow from the surface up to ${eff.topHeight} m AGL (the effective inflow layer). Effective SRH over that layer is <span class="highlight">${a.esrh} m²/s²</span>, and the effective bulk wind difference, shear measured over the lower half of the storm depth, is <span class="highlight">${a.ebwd} kt</span>.`);
+    }
+
     return parts.join('<br><br>');
 }
 
+/**
+ * Critical angle, low-level streamwiseness and the mid/anvil-level
+ * storm-relative winds that shape supercell precipitation structure
+ */
+function stormRelativeProfile(a) {
+    const sentences = [];
+
+    const ca = a.criticalAngle;
+    const sw = a.streamwiseFraction;
+    if (ca != null && sw != null) {
+        if (sw >= 80 && ca >= 70 && ca <= 110) {
+            sentences.push(`<strong>Inflow is highly streamwise</strong>: the 0-500 m critical angle is ${ca}° and ${sw}% of the 0-1 km horizontal vorticity points along the storm-relative wind, so updrafts ingest that spin almost entirely as rotation — the near-90° configuration most often seen with tornadic supercells.`);
+        } else if (sw >= 50) {
+            sentences.push(`The 0-500 m critical angle is ${ca}° and inflow is mostly streamwise (${sw}% of the 0-1 km horizontal vorticity), so a good share of the low-level spin is available to the updraft.`);
+        } else {
+            sentences.push(`The 0-500 m critical angle is ${ca}° and only ${sw}% of the 0-1 km horizontal vorticity is streamwise. Much of the low-level spin is crosswise to the inflow, which tilts into updraft/downdraft couplets rather than feeding a low-level mesocyclone.`);
+        }
+    }
+
+    const anvil = a.srWind911;
+    const mid = a.srWind46;
+    if (anvil != null) {
+        let mode;
+        if (anvil < 40) mode = 'on the weak side, so precipitation falls close to the updraft and favors <span class="highlight">high-precipitation (HP)</span> supercells';
+        else if (anvil <= 60) mode = 'in the 40-60 kt range that carries precipitation far enough downstream for <span class="highlight">classic</span> supercells';
+        else mode = 'strong enough to blow precipitation well away from the updraft, a hint toward <span class="highlight">low-precipitation (LP)</span> supercells';
+        sentences.push(`Anvil-level (9-11 km) storm-relative winds of ${anvil} kt are ${mode}.`);
+    }
+    if (mid != null && mid < 15) {
+        sentences.push(`Mid-level (4-6 km) storm-relative flow is only ${mid} kt, which lets outflow and precipitation wrap around the mesocyclone and undercut it.`);
+    } else if (mid != null) {
+        sentences.push(`Mid-level (4-6 km) storm-relative flow is ${mid} kt.`);
+    }
+
+    return sentences.length ? sentences.join(' ') : null;
+}
+
 /**
  * Generate severe potential analysis
  */
@@ -195,11 +350,150 @@ function severePotential(a) {
         parts.push(`<strong>SCP of ${a.scp}</strong> is below the supercell threshold. Organized rotating updrafts are unlikely — expect multicellular or pulse-type convection.`);
     }
 
+    // Effective-layer composites
+    if (a.elevatedInflow) {
+        parts.push(`Effective-layer STP is 0 because the inflow layer is elevated. The effective SCP of <span class="highlight">${a.scpEffective}</span> is the better guide here: it measures how well elevated storms can organize into rotating updrafts.`);
+    } else if (a.effectiveLayer) {
+        parts.push(`Computed over the effective inflow layer, STP is <span class="highlight">${a.stpEffective}</span> and SCP is <span class="highlight">${a.scpEffective}</span>. These versions track the air storms actually ingest and scale shear to storm depth, so they are usually the more reliable of the two.`);
+    }
+
     // Lapse rates
     if (a.lr03 > 8.5) {
         parts.push(`0-3 km lapse rates are <span class="highlight">${a.lr03}°C/km</span> — nearly dry-adiabatic. This steep near-surface mixing zone enhances updraft acceleration and increases the risk of any tornado being rain-wrapped or HP supercell mode.`);
     } else if (a.lr700_500 > 7.5) {
-        parts.push(`700-500 hPa lapse rates of <span class="highlight">${a.lr700_500}°C/km</span> are steep, which enhances mid-level instability and supports explosive updraft growth above the LFC.`);
+        parts.push(`700-500 hPa lapse rates of <span class="highlight">${a.lr700_500}°C/km</span> are steep${a.features.eml ? ', the mark of an elevated mixed layer aloft,' : ''} which enhances mid-level instability and supports explosive updraft growth above the LFC.`);
+    }
+
+    return parts.join('<br><br>');
+}
+
+/**
+ * Generate hail analysis
+ */
+function hailAnalysis(a) {
+    const parts = [];
+    const hgz = a.hailGrowthZone;
+
+    if (a.hailSize.id === 'none') {
+        parts.push(`<strong>No hail threat.</strong> With only ${a.mucape} J/kg of most-unstable CAPE, updrafts can't suspend ice long enough to grow hailstones.`);
+    } else if (a.ship >= 2) {
+        parts.push(`<strong>Significant Hail Parameter (SHIP) of ${a.ship} is very high.</strong> Environments like this produce giant hail — 2 inches (hen egg) or larger — from the strongest storms. Expected maximum size: <span class="highlight">${a.hailSize.label}</span>.`);
+    } else if (a.ship >= 1) {
+        parts.push(`<strong>SHIP of ${a.ship}</strong> is above the significant hail threshold of 1.0. Hail of 2 inches or more is possible with supercells; expected maximum size: <span class="highlight">${a.hailSize.label}</span>.`);
+    } else if (a.ship >= 0.5) {
+        parts.push(`SHIP of <span class="highlight">${a.ship}</span> is below the significant threshold but supports severe hail with the stronger cores. Expected maximum size: <span class="highlight">${a.hailSize.label}</span>.`);
+    } else {
+        parts.push(`SHIP of <span class="highlight">${a.ship}</span> is low. Any hail should stay small (${a.hailSize.label.toLowerCase()}), though a strong pulse storm can briefly do better.`);
+    }
+
+    if (hgz) {
+        const capeNote = a.hgzCape >= 1000
+            ? `<span class="highlight">${a.hgzCape} J/kg</span> of CAPE within it is a lot of buoyancy where hailstones grow — updrafts will be strongest right where they're needed`
+            : a.hgzCape >= 400
+                ? `<span class="highlight">${a.hgzCape} J/kg</span> of CAPE within it gives updrafts solid support for growing stones`
+                : `only <span class="highlight">${a.hgzCape} J/kg</span> of CAPE within it limits how long stones can stay aloft`;
+        parts.push(`The hail growth zone (-10 to -30°C) runs from ${hgz.bottomHeight} to ${hgz.topHeight}m AGL, a ${hgz.depth}m deep layer; ${capeNote}.`);
+    }
+
+    if (a.freezingLevel && a.wetBulbZero) {
+        const wbz = a.wetBulbZero.height;
+        if (wbz > 4000) {
+            parts.push(`The wet-bulb zero is high at ${wbz}m AGL (freezing level ${a.freezingLevel.height}m). Hailstones fall through a deep warm layer and will melt substantially — small hail may reach the ground as rain, and large stones will arrive smaller.`);
+        } else if (wbz < 2000) {
+            parts.push(`The wet-bulb zero is low at ${wbz}m AGL (freezing level ${a.freezingLevel.height}m). Little melting occurs on the way down, so even modest hail reaches the ground intact — and can accumulate.`);
+        } else {
+            parts.push(`The wet-bulb zero at ${wbz}m AGL (freezing level ${a.freezingLevel.height}m) is in the typical range for hail days; melting will take the edge off small stones but not large ones.`);
+        }
+    }
+
+    return parts.join('<br><br>');
+}
+
+/**
+ * Generate fire-weather briefing
+ */
+function fireAnalysis(f) {
+    const parts = [];
+
+    if (f.haines) {
+        const variant = { low: 'low-elevation variant, 950-850 hPa', mid: 'mid-elevation variant, 850-700 hPa', high: 'high-elevation variant, 700-500 hPa' }[f.haines.variant];
+        const meaning = f.haines.value >= 6
+            ? 'high potential for large, plume-dominated fire growth. A dry, unstable lower atmosphere lets fires build tall smoke columns and behave erratically.'
+            : f.haines.value === 5
+                ? 'moderate potential for large fire growth. Fires can become difficult to control if winds or fuels cooperate.'
+                : f.haines.value === 4
+                    ? 'low potential; the lower atmosphere is only modestly dry or unstable.'
+                    : 'very low potential; the lower atmosphere is stable or moist enough to hold fires in check.';
+        parts.push(`<strong>Haines Index of ${f.haines.value}</strong> (${variant}; stability ${f.haines.stability}, moisture ${f.haines.moisture}) indicates ${meaning}`);
+    }
+
+    if (f.hdw != null) {
+        const hdwNote = f.hdw >= 300
+            ? 'very high — hot, dry and windy near-surface air that supports rapid fire spread'
+            : f.hdw >= 150
+                ? 'elevated — the near-surface air is dry and windy enough to aid fire spread'
+                : f.hdw >= 75 ? 'moderate' : 'low';
+        parts.push(`The Hot-Dry-Windy Index is <span class="highlight">${f.hdw}</span>, ${hdwNote}. It pairs a vapor pressure deficit of up to ${f.hdwVpd} hPa with winds up to ${f.hdwWind} kt in the lowest 500 m.`);
+    }
+
+    if (f.mixingHeight) {
+        const transport = f.transportWind
+            ? ` Transport winds through the mixed layer average ${f.transportWind.speed} kt from ${f.transportWind.dir}°, for a ventilation index of <span class="highlight">${f.ventilation} m²/s</span> (${f.ventilationCategory}).`
+            : '';
+        const smoke = f.ventilationCategory === 'poor'
+            ? ' Smoke will linger near the ground — poor conditions for prescribed burns.'
+            : f.ventilationCategory === 'good' ? ' Smoke should disperse well.' : '';
+        parts.push(`The mixing height is ${f.mixingHeight.height}m AGL (${f.mixingHeight.pressure} hPa).${transport}${smoke}`);
+    }
+
+    if (f.dryThunder.level === 'likely') {
+        parts.push(`<strong>Dry thunderstorms are likely.</strong> Cloud bases near ${f.dryThunder.lclHeight}m AGL over a column holding only ${f.dryThunder.pw.toFixed(2)} inches of water mean most rain evaporates before reaching the ground. Expect lightning strikes with little wetting rain — a prime setup for new fire starts — along with erratic outflow winds.`);
+    } else if (f.dryThunder.level === 'possible') {
+        parts.push(`Dry thunderstorms are possible: bases near ${f.dryThunder.lclHeight}m AGL and ${f.dryThunder.pw.toFixed(2)} inches of precipitable water favor storms with limited wetting rain.`);
+    }
+
+    return parts.join('<br><br>');
+}
+
+/**
+ * Generate winter precipitation-type analysis
+ */
+function winterAnalysis(w) {
+    const parts = [];
+    const type = w.precipType;
+
+    if (type.id === 'none') {
+        parts.push(`<strong>No saturated layer below 500 hPa</strong>, so this profile isn't producing precipitation on its own. If moisture arrives, the thermal structure below decides what falls.`);
+    } else if (type.id === 'fzra') {
+        parts.push(`<strong>Precipitation type: freezing rain.</strong> Snow melts completely in the warm layer aloft, and the subfreezing layer near the ground is too shallow to refreeze it. Raindrops will freeze on contact — expect glaze on roads, trees and power lines.`);
+    } else if (type.id === 'sleet') {
+        parts.push(`<strong>Precipitation type: sleet.</strong> Snow melts in the warm layer aloft, then refreezes into ice pellets in the deep cold layer below. Sleet accumulates like coarse sand and is slick, but spares power lines the damage freezing rain causes.`);
+    } else if (type.id === 'fzra-sleet') {
+        parts.push(`<strong>Precipitation type: freezing rain / sleet mix.</strong> The cold layer near the ground is borderline for refreezing the melted snow, so expect a mix of ice pellets and freezing rain; small changes in either layer will tip it one way.`);
+    } else if (type.id === 'snow') {
+        parts.push(`<strong>Precipitation type: snow.</strong> The column stays below freezing (or nearly so) all the way down, so snowflakes reach the ground intact.`);
+    } else if (type.id === 'fzdz' || type.id === 'drizzle') {
+        parts.push(`<strong>Precipitation type: ${type.label.toLowerCase()}.</strong> The cloud top is warmer than -10°C, too warm for ice crystals to form, so the cloud makes supercooled droplets instead of snow.${type.id === 'fzdz' ? ' With subfreezing air at the ground, the drizzle will glaze untreated surfaces.' : ''}`);
+    } else {
+        parts.push(`<strong>Precipitation type: ${type.label.toLowerCase()}.</strong> The melting and refreezing energies sit near the thresholds between types, so a transition or mix is likely.`);
+    }
+
+    if (w.warmNose) {
+        const n = w.warmNose;
+        parts.push(`A warm nose sits between ${n.bottomHeight} and ${n.topHeight}m AGL (${n.bottomPressure}-${n.topPressure} hPa), peaking at a wet-bulb of ${n.extremeTemp}°C. Its melting energy is <span class="highlight">${n.energy} J/kg</span>; above roughly 13 J/kg snowflakes melt completely.`);
+    }
+    if (w.refreezingLayer) {
+        const r = w.refreezingLayer;
+        parts.push(`Below it, the refreezing layer from ${r.bottomHeight} to ${r.topHeight}m AGL reaches ${r.extremeTemp}°C, with <span class="highlight">${Math.abs(r.energy)} J/kg</span> of refreezing energy.`);
+    }
+    if (w.surfaceWarmLayer && !w.warmNose && type.id !== 'none') {
+        parts.push(`The above-freezing layer at the ground is ${w.surfaceWarmLayer.topHeight}m deep with <span class="highlight">${w.surfaceWarmLayer.energy} J/kg</span> of melting energy.`);
+    }
+
+    if (w.dgz) {
+        parts.push(w.dgz.saturated
+            ? `The dendritic growth zone (-12 to -17°C) at ${w.dgz.bottomHeight}-${w.dgz.topHeight}m AGL is saturated — ideal for large, fluffy dendrites and efficient snow accumulation.`
+            : `The dendritic growth zone (-12 to -17°C) at ${w.dgz.bottomHeight}-${w.dgz.topHeight}m AGL is not saturated, so snowflakes will be smaller and denser and ratios lower.`);
     }
 
     return parts.join('<br><br>');
@@ -219,9 +513,123 @@ function moistureAnalysis(a) {
     } else if (pw > 1.0) {
         parts.push(`<strong>Precipitable water of ${pw.toFixed(2)} inches represents moderate-to-high moisture.</strong> Storms will produce heavy rain, but flash flooding risk is more conditional — dependent on storm motion and training.`);
     } else if (pw > 0.5) {
-        parts.push(`Precipitable water of <span class="highlight">${pw.toFixed(2)} inches</span> is modest. Rain amounts will be manageable, though microbursts from high-based storms could still produce localized wind damage.`);
+        parts.push(`Precipitable water of <span class="highlight">${pw.toFixed(2)} inches</span> is modest. Rain amounts will be manageable${a.dcape >= 900 ? `, though with ${a.dcape} J/kg of DCAPE, evaporation beneath high-based storms could still drive localized microburst damage` : ''}.`);
     } else {
-        parts.push(`Precipitable water of <span class="highlight">${pw.toFixed(2)} inches</span> is low, indicating a dry column. Any convection would be high-based with virga. Dry lightning and dust storms are possible.`);
+        parts.push(`Precipitable water of <span class="highlight">${pw.toFixed(2)} inches</span> is low, indicating a dry column. Any convection would be high-based with virga. Dry lightning is possible${a.dcape >= 900 ? `, and ${a.dcape} J/kg of DCAPE makes dry microbursts and blowing dust a concern` : ''}.`);
+    }
+
+    const b = a.boundary;
+    if (b.mlMixingRatio == null) return parts.join('<br><br>');
+
+    // Low-level moisture quality
+    const quality = b.mlMixingRatio >= 14 ? 'rich, high-quality low-level moisture that supports robust surface-based storms'
+        : b.mlMixingRatio >= 12 ? 'good low-level moisture for surface-based storms'
+            : b.mlMixingRatio >= 10 ? 'marginal low-level moisture: storms can form, but buoyancy and low LCLs are harder to come by'
+                : 'poor low-level moisture for surface-based severe storms';
+    let quality2 = '';
+    if (b.sfcMixingRatio - b.mlMixingRatio >= 2) {
+        quality2 = ` The surface value of ${b.sfcMixingRatio} g/kg is well above that mean, so moisture is concentrated near the ground and mixed parcels will be less buoyant than the surface observation suggests.`;
+    }
+    parts.push(`The lowest ${a.mlDepth} hPa average a mixing ratio of <span class="highlight">${b.mlMixingRatio} g/kg</span>: ${quality}.${quality2}`);
+
+    // Moist layer depth
+    const moist = b.moistLayer;
+    if (moist) {
+        if (moist.depth === 0) {
+            parts.push(`Even the surface falls short of ${moist.threshold} g/kg, so there is no deep moist layer to draw on.`);
+        } else {
+            const depth = moist.depth >= 1000 ? 'a deep moist layer'
+                : moist.depth >= 500 ? 'a moderately deep moist layer'
+                    : 'a shallow moist layer, easily eroded by mixing or entrainment';
+            parts.push(`Mixing ratios of ${moist.threshold} g/kg or more reach <span class="highlight">${moist.depth}m</span> (${moist.topPressure} hPa) — ${depth}.`);
+        }
+    }
+
+    // PBL height
+    const { parcel, richardson } = b.pblHeight;
+    if (parcel) {
+        let pbl = `The boundary layer is <span class="highlight">${parcel.height}m</span> deep by the parcel method`;
+        if (richardson) pbl += ` and ${richardson.height}m by the bulk Richardson number`;
+        pbl += '.';
+        if (parcel.height < 300) {
+            pbl += ' A layer this shallow is stable and decoupled, as at night, so surface moisture is trapped near the ground until heating deepens it.';
+        } else if (richardson && richardson.height - parcel.height >= 500) {
+            pbl += ' Wind shear keeps turbulence going above the top of the buoyant layer, mixing the boundary layer deeper than heating alone would.';
+        }
+        parts.push(pbl);
+    }
+
+    // Afternoon mix-out
+    const mix = b.mixOut;
+    if (mix) {
+        if (mix.likely) {
+            parts.push(`<strong>Surface moisture is shallow and likely to mix out.</strong> Heating to the forecast maximum mixes the boundary layer to ${mix.mixingHeight.height}m, dropping the surface dewpoint about <span class="highlight">${mix.dewpointDrop}°C</span> to ${mix.dewpoint}°C (${mix.mixingRatio} g/kg). Expect lower CAPE and higher LCLs than the morning profile shows.`);
+        } else {
+            parts.push(`Mixing to ${mix.mixingHeight.height}m with afternoon heating should lower the surface dewpoint only about ${mix.dewpointDrop}°C, to ${mix.dewpoint}°C, so the moisture is deep enough to hold through peak heating.`);
+        }
+    }
+
+    return parts.join('<br><br>');
+}
+
+/**
+ * Generate profile feature analysis: inversions, EML, low-level jet, tropopause and jet
+ */
+function featuresAnalysis(a) {
+    const f = a.features;
+    const parts = [];
+
+    // Inversions
+    const sfcInv = f.surfaceInversion;
+    if (sfcInv) {
+        parts.push(`<strong>A surface-based inversion</strong> warms <span class="highlight">${sfcInv.strength}°C</span> through the lowest ${sfcInv.depth}m. The boundary layer is decoupled from the flow above, as after overnight radiational cooling: surface parcels stay stable until daytime heating mixes it out, and any storms before then would be elevated.`);
+    }
+    const cap = f.cap;
+    if (cap) {
+        const strength = cap.strength >= 2 ? 'a strong lid that takes substantial heating or forced ascent to break'
+            : cap.strength >= 1 ? 'a moderate lid that can delay initiation until late in the day'
+                : 'only a weak lid that heating or a boundary should overcome';
+        parts.push(`<strong>A capping inversion</strong> sits at ${cap.bottomPressure}-${cap.topPressure} hPa (${cap.bottomHeight}-${cap.topHeight}m AGL), warming <span class="highlight">${cap.strength}°C</span> over ${cap.depth}m — ${strength}.`);
+    } else if (!sfcInv) {
+        parts.push('No inversions show up in the lower troposphere. Nothing in the temperature profile itself holds parcels back; any inhibition comes from a gradual stable layer rather than a lid.');
+    }
+    const aloft = f.inversions.filter(inv => inv.type === 'elevated').length;
+    if (aloft > 0) {
+        parts.push(`${aloft} further inversion${aloft > 1 ? 's' : ''} sit${aloft > 1 ? '' : 's'} higher up, usually frontal or subsidence layers that limit mixing rather than convection.`);
+    }
+
+    // Elevated mixed layer
+    const eml = f.eml;
+    if (eml) {
+        const base = eml.capped
+            ? 'Its warm base is what forms the cap: storms are held back while the steep lapse rates above build CAPE, so once the lid breaks updrafts accelerate explosively.'
+            : 'No inversion marks its base here, so it adds instability aloft without much of a lid.';
+        parts.push(`<strong>An elevated mixed layer (EML)</strong> spans ${eml.bottomPressure}-${eml.topPressure} hPa (${eml.bottomHeight}-${eml.topHeight}m AGL) with a lapse rate of <span class="highlight">${eml.lapseRate}°C/km</span> and mean RH of ${eml.rh}%. Steep and dry, this is a plume of deeply mixed air advected from a high, heated source region. ${base}`);
+    } else if (a.lr700_500 > 7) {
+        parts.push(`700-500 hPa lapse rates of <span class="highlight">${a.lr700_500}°C/km</span> are steep, but the layer is too shallow, too moist or too close to the surface to count as an elevated mixed layer.`);
+    }
+
+    // Low-level jet
+    const llj = f.llj;
+    if (llj) {
+        parts.push(`<strong>A low-level jet</strong> peaks at <span class="highlight">${llj.speed} kt from ${llj.dir}°</span> at ${llj.height}m AGL, with winds dropping ${llj.falloff} kt above it (Bonner category ${llj.category}). Nocturnal jets like this boost low-level shear and SRH after dark and drive moisture and warm advection, which can keep elevated storms and MCSs going overnight.`);
+    }
+
+    // Tropopause and jet-level winds
+    const trop = f.tropopause;
+    const jet = f.jetMax;
+    if (trop) {
+        const overshoot = a.elPressure != null && a.elPressure < trop.pressure
+            ? ' The parcel EL lies above it, so the strongest updrafts will overshoot into the stratosphere.'
+            : '';
+        parts.push(`The tropopause is at <span class="highlight">${trop.pressure} hPa</span> (${trop.height}m AGL, ${trop.temp}°C).${overshoot}`);
+    }
+    if (jet) {
+        if (jet.speed >= 70) {
+            parts.push(`The upper-level jet reaches <span class="highlight">${jet.speed} kt from ${jet.dir}°</span> at ${jet.pressure} hPa. Strong storm-top flow ventilates updrafts and carries anvils well downstream, and nearby jet streaks add large-scale ascent.`);
+        } else if (jet.speed < 30) {
+            parts.push(`Upper-level winds are weak, peaking at ${jet.speed} kt at ${jet.pressure} hPa, so anvils and precipitation will fall back onto the updrafts.`);
+        }
     }
 
     return parts.join('<br><br>');
@@ -235,70 +643,215 @@ export function humanize(analysis) {
 
     const severity = overallSeverity(analysis);
 
+    const sections = [
+        {
+            id: 'instability',
+            title: 'Instability & Energy',
+            icon: '⚡',
+            iconBg: 'rgba(251,191,36,0.15)',
+            severity: capeLevel(analysis.sbcape),
+            body: instabilityAnalysis(analysis),
+            chips: [
+                { label: 'SBCAPE', value: `${analysis.sbcape} J/kg` },
+                { label: 'MLCAPE', value: `${analysis.mlcape} J/kg` },
+                { label: 'MUCAPE', value: `${analysis.mucape} J/kg` },
+                { label: 'CIN', value: `${analysis.sbcin} J/kg` },
+                { label: 'LCL', value: `${analysis.lclHeight}m` },
+                { label: 'Conv. Temp', value: analysis.convective.convectiveTemp != null ? `${analysis.convective.convectiveTemp}°C` : 'N/A' },
+                { label: 'Max Temp', value: analysis.convective.maxTemp.forecast != null ? `${analysis.convective.maxTemp.forecast}°C` : 'N/A' },
+                { label: 'LFC', value: analysis.lfcHeight != null ? `${analysis.lfcHeight}m` : 'N/A' },
+                { label: 'EL', value: analysis.elHeight != null ? `${analysis.elHeight}m` : 'N/A' },
+                { label: 'MLECAPE', value: `${analysis.ecape.ml.ecape} J/kg` },
+                { label: 'DCAPE', value: `${analysis.dcape} J/kg` },
+                { label: 'Cold Pool', value: analysis.coldPool != null ? `${analysis.coldPool}°C` : 'N/A' },
+            ],
+        },
+        {
+            id: 'shear',
+            title: 'Wind Shear & Hodograph',
+            icon: '🌀',
+            iconBg: 'rgba(6,182,212,0.15)',
+            severity: shearLevel(analysis.shear06, analysis.srh03),
+            body: shearAnalysis(analysis),
+            chips: [
+                { label: '0-1km Shear', value: `${analysis.shear01} kt` },
+                { label: '0-6km Shear', value: `${analysis.shear06} kt` },
+                { label: '0-1km SRH', value: `${analysis.srh01} m²/s²` },
+                { label: '0-3km SRH', value: `${analysis.srh03} m²/s²` },
+                { label: 'Eff. SRH', value: `${analysis.esrh} m²/s²` },
+                { label: 'EBWD', value: `${analysis.ebwd} kt` },
+                { label: 'Storm Motion', value: `${analysis.stormMotion.dir}°/${analysis.stormMotion.spd} kt${analysis.stormMotion.source === 'user' ? ' (user)' : ''}` },
+                { label: 'LM 0-3km SRH', value: `${analysis.srh03Left} m²/s²` },
+                { label: 'Critical Angle', value: analysis.criticalAngle != null ? `${analysis.criticalAngle}°` : 'N/A' },
+                { label: 'Streamwise', value: analysis.streamwiseFraction != null ? `${analysis.streamwiseFraction}%` : 'N/A' },
+                { label: '9-11km SR Wind', value: analysis.srWind911 != null ? `${analysis.srWind911} kt` : 'N/A' },
+                { label: 'Inflow', value: analysis.effectiveLayer ? `${analysis.effectiveLayer.bottomHeight}-${analysis.effectiveLayer.topHeight}m${analysis.elevatedInflow ? ' (elevated)' : ''}` : 'None' },
+            ],
+        },
+        {
+            id: 'severe',
+            title: 'Severe Potential',
+            icon: '🔴',
+            iconBg: 'rgba(239,68,68,0.15)',
+            severity: compositeLevel(analysis.stp, analysis.scp),
+            body: severePotential(analysis),
+            chips: [
+                { label: 'STP', value: `${analysis.stp}` },
+                { label: 'SCP', value: `${analysis.scp}` },
+                { label: 'STP (eff)', value: `${analysis.stpEffective}` },
+                { label: 'SCP (eff)', value: `${analysis.scpEffective}` },
+                { label: '0-3km LR', value: `${analysis.lr03}°C/km` },
+                { label: '700-500 LR', value: `${analysis.lr700_500}°C/km` },
+            ],
+        },
+        {
+            id: 'hail',
+            title: 'Hail',
+            icon: '🧊',
+            iconBg: 'rgba(148,163,184,0.15)',
+            severity: hailLevel(analysis.ship, analysis.hailSize),
+            body: hailAnalysis(analysis),
+            chips: [
+                { label: 'SHIP', value: `${analysis.ship}` },
+                { label: 'Max Size', value: analysis.hailSize.label },
+                { label: 'HGZ CAPE', value: `${analysis.hgzCape} J/kg` },
+                { label: 'HGZ Depth', value: analysis.hailGrowthZone ? `${analysis.hailGrowthZone.depth}m` : 'N/A' },
+                { label: 'Freezing Lvl', value: analysis.freezingLevel ? `${analysis.freezingLevel.height}m` : 'N/A' },
+                { label: 'WBZ', value: analysis.wetBulbZero ? `${analysis.wetBulbZero.height}m` : 'N/A' },
+            ],
+        },
+        {
+            id: 'moisture',
+            title: 'Moisture Profile',
+            icon: '💧',
+            iconBg: 'rgba(59,130,246,0.15)',
+            severity: pwLevel(analysis.pw),
+            body: moistureAnalysis(analysis),
+            chips: [
+                { label: 'PW', value: `${analysis.pw.toFixed(2)} in` },
+                { label: 'ML Mix Ratio', value: analysis.boundary.mlMixingRatio != null ? `${analysis.boundary.mlMixingRatio} g/kg` : 'N/A' },
+                { label: 'Moist Depth', value: analysis.boundary.moistLayer ? `${analysis.boundary.moistLayer.depth}m` : 'N/A' },
+                { label: 'PBL (parcel)', value: analysis.boundary.pblHeight.parcel ? `${analysis.boundary.pblHeight.parcel.height}m` : 'N/A' },
+                { label: 'PBL (Ri)', value: analysis.boundary.pblHeight.richardson ? `${analysis.boundary.pblHeight.richardson.height}m` : 'N/A' },
+                { label: 'Mixed Td', value: analysis.boundary.mixOut ? `${analysis.boundary.mixOut.dewpoint}°C` : 'N/A' },
+            ],
+        },
+        {
+            id: 'features',
+            title: 'Profile Features',
+            icon: '📈',
+            iconBg: 'rgba(250,204,21,0.15)',
+            severity: featuresLevel(analysis.features),
+            body: featuresAnalysis(analysis),
+            chips: [
+                { label: 'Cap', value: analysis.features.cap ? `+${analysis.features.cap.strength}°C @ ${analysis.features.cap.bottomPressure} hPa` : 'None' },
+                { label: 'Sfc Inversion', value: analysis.features.surfaceInversion ? `+${analysis.features.surfaceInversion.strength}°C` : 'None' },
+                { label: 'EML', value: analysis.features.eml ? `${analysis.features.eml.bottomPressure}-${analysis.features.eml.topPressure} hPa` : 'None' },
+                { label: 'LLJ', value: analysis.features.llj ? `${analysis.features.llj.speed} kt @ ${analysis.features.llj.height}m` : 'None' },
+                { label: 'Tropopause', value: analysis.features.tropopause ? `${analysis.features.tropopause.pressure} hPa` : 'N/A' },
+                { label: 'Jet Max', value: analysis.features.jetMax ? `${analysis.features.jetMax.speed} kt @ ${analysis.features.jetMax.pressure} hPa` : 'N/A' },
+            ],
+        },
+        {
+            id: 'fire',
+            title: 'Fire Weather',
+            icon: '🔥',
+            iconBg: 'rgba(249,115,22,0.15)',
+            severity: fireLevel(analysis.fire),
+            body: fireAnalysis(analysis.fire),
+            chips: [
+                { label: 'Haines', value: analysis.fire.haines ? `${analysis.fire.haines.value} (${analysis.fire.haines.variant})` : 'N/A' },
+                { label: 'HDW', value: analysis.fire.hdw != null ? `${analysis.fire.hdw}` : 'N/A' },
+                { label: 'Mixing Hgt', value: analysis.fire.mixingHeight ? `${analysis.fire.mixingHeight.height}m` : 'N/A' },
+                { label: 'Transport', value: analysis.fire.transportWind ? `${analysis.fire.transportWind.speed} kt` : 'N/A' },
+                { label: 'Ventilation', value: analysis.fire.ventilation != null ? `${analysis.fire.ventilation} m²/s` : 'N/A' },
+            ],
+        },
+    ];
+
+    const w = analysis.winter;
+    if (w?.relevant) {
+        sections.push({
+            id: 'winter',
+            title: 'Winter Weather',
+            icon: '❄️',
+            iconBg: 'rgba(147,197,253,0.15)',
+            severity: winterLevel(w.precipType.id),
+            body: winterAnalysis(w),
+            chips: [
+                { label: 'Type', value: w.precipType.label },
+                { label: 'Warm Nose', value: w.warmNose ? `${w.warmNose.energy} J/kg` : 'None' },
+                { label: 'Refreeze', value: w.refreezingLayer ? `${Math.abs(w.refreezingLayer.energy)} J/kg` : 'None' },
+                { label: 'DGZ', value: w.dgz ? `${w.dgz.bottomHeight}-${w.dgz.topHeight}m` : 'N/A' },
+            ],
+        });
+    }
+
     return {
         severity,
         headline: headline(analysis, severity),
-        sections: [
-            {
-                id: 'instability',
-                title: 'Instability & Energy',
-                icon: '⚡',
-                iconBg: 'rgba(251,191,36,0.15)',
-                severity: capeLevel(analysis.sbcape),
-                body: instabilityAnalysis(analysis),
-                chips: [
-                    { label: 'SBCAPE', value: `${analysis.sbcape} J/kg` },
-                    { label: 'MLCAPE', value: `${analysis.mlcape} J/kg` },
-                    { label: 'MUCAPE', value: `${analysis.mucape} J/kg` },
-                    { label: 'CIN', value: `${analysis.sbcin} J/kg` },
-                    { label: 'LCL', value: `${analysis.lclHeight}m` },
-                    { label: 'LFC', value: analysis.lfcHeight != null ? `${analysis.lfcHeight}m` : 'N/A' },
-                    { label: 'EL', value: analysis.elHeight != null ? `${analysis.elHeight}m` : 'N/A' },
-                ],
-            },
-            {
-                id: 'shear',
-                title: 'Wind Shear & Hodograph',
-                icon: '🌀',
-                iconBg: 'rgba(6,182,212,0.15)',
-                severity: shearLevel(analysis.shear06, analysis.srh03),
-                body: shearAnalysis(analysis),
-                chips: [
-                    { label: '0-1km Shear', value: `${analysis.shear01} kt` },
-                    { label: '0-6km Shear', value: `${analysis.shear06} kt` },
-                    { label: '0-1km SRH', value: `${analysis.srh01} m²/s²` },
-                    { label: '0-3km SRH', value: `${analysis.srh03} m²/s²` },
-                ],
-            },
-            {
-                id: 'severe',
-                title: 'Severe Potential',
-                icon: '🔴',
-                iconBg: 'rgba(239,68,68,0.15)',
-                severity: compositeLevel(analysis.stp, analysis.scp),
-                body: severePotential(analysis),
-                chips: [
-                    { label: 'STP', value: `${analysis.stp}` },
-                    { label: 'SCP', value: `${analysis.scp}` },
-                    { label: '0-3km LR', value: `${analysis.lr03}°C/km` },
-                    { label: '700-500 LR', value: `${analysis.lr700_500}°C/km` },
-                ],
-            },
-            {
-                id: 'moisture',
-                title: 'Moisture Profile',
-                icon: '💧',
-                iconBg: 'rgba(59,130,246,0.15)',
-                severity: pwLevel(analysis.pw),
-                body: moistureAnalysis(analysis),
-                chips: [
-                    { label: 'PW', value: `${analysis.pw.toFixed(2)} in` },
-                ],
-            },
-        ],
+        sections,
+        classic: analysis.classic ? classicIndexRows(analysis.classic, analysis.levels[0].pressure) : [],
     };
 }
 
+/**
+ * One row per classic index: value plus a short reading of it
+ */
+function classicIndexRows(c, sfcPressure) {
+    const na = (levels) => {
+        const belowGround = levels.filter(p => p > sfcPressure);
+        return `Not available — the sounding has no ${levels.join('/')} hPa data` +
+            `${belowGround.length ? ` (${belowGround.join('/')} hPa is below ground here)` : ''}.`;
+    };
+    const row = (id, label, value, interpret) => ({
+        id,
+        label,
+        value: value == null ? 'N/A' : `${value}`,
+        note: value == null ? na(c.missing[id] || []) : interpret(value),
+    });
+
+    const liNote = v => v <= -6 ? 'Extremely unstable; violent updrafts possible.'
+        : v <= -3 ? 'Very unstable; strong thunderstorms likely if initiated.'
+            : v < 0 ? 'Marginally unstable; thunderstorms possible.'
+                : v < 3 ? 'Stable to marginal; convection struggles without strong forcing.'
+                    : 'Stable; deep convection unlikely.';
+
+    return [
+        row('liSB', 'Lifted Index (SB)', c.li.sb, liNote),
+        row('liML', 'Lifted Index (ML)', c.li.ml, liNote),
+        row('liMU', 'Lifted Index (MU)', c.li.mu, liNote),
+        row('showalter', 'Showalter', c.showalter, v => v <= -6 ? 'Severe thunderstorms likely from elevated (850 hPa) parcels.'
+            : v <= -3 ? 'Thunderstorms likely, some possibly severe.'
+                : v <= 0 ? 'Showers and thunderstorms possible.'
+                    : v <= 3 ? 'Showers possible, thunderstorms unlikely.'
+                        : 'Stable above 850 hPa.'),
+        row('kIndex', 'K-Index', c.kIndex, v => v >= 40 ? 'Widespread thunderstorms; heavy rain likely.'
+            : v >= 35 ? 'Numerous thunderstorms.'
+                : v >= 30 ? 'Scattered thunderstorms.'
+                    : v >= 20 ? 'Isolated thunderstorms possible.'
+                        : 'Thunderstorms unlikely.'),
+        row('totalTotals', 'Total Totals', c.totalTotals, v => v >= 60 ? 'Scattered severe storms and tornadoes possible.'
+            : v >= 55 ? 'Severe thunderstorms possible.'
+                : v >= 50 ? 'Thunderstorms likely, isolated severe.'
+                    : v >= 44 ? 'Thunderstorms possible.'
+                        : 'Thunderstorms unlikely.'),
+        row('crossTotals', 'Cross Totals', c.crossTotals, v => v >= 22 ? 'Ample low-level moisture under a cold mid-level; supports severe storms.'
+            : v >= 18 ? 'Moderate; thunderstorms possible.'
+                : 'Low; limited moisture or a warm mid-level.'),
+        row('verticalTotals', 'Vertical Totals', c.verticalTotals, v => v >= 28 ? 'Steep 850-500 hPa lapse rate.'
+            : v >= 26 ? 'Typical of thunderstorm days.'
+                : 'Modest lapse rate.'),
+        row('sweat', 'SWEAT', c.sweat, v => v >= 400 ? 'Tornadic and severe storms possible.'
+            : v >= 300 ? 'Severe thunderstorms possible.'
+                : v >= 250 ? 'Strong thunderstorms possible.'
+                    : 'Severe weather unlikely.'),
+        row('boyden', 'Boyden', c.boyden, v => v >= 95 ? 'Thunderstorms likely.'
+            : v >= 94 ? 'Thunderstorms possible.'
+                : 'Thunderstorms unlikely.'),
+    ];
+}
+
 // Severity helpers for individual sections
 function capeLevel(cape) {
     if (cape >= 4000) return { label: 'Extreme', color: '#a855f7' };
@@ -326,6 +879,41 @@ function compositeLevel(stp, scp) {
     return { label: 'Low', color: '#22c55e' };
 }
 
+function hailLevel(ship, size) {
+    if (size.id === 'none') return { label: 'None', color: '#22c55e' };
+    if (ship >= 2) return { label: 'Extreme', color: '#a855f7' };
+    if (ship >= 1) return { label: 'High', color: '#ef4444' };
+    if (ship >= 0.5) return { label: 'Moderate', color: '#f97316' };
+    if (size.id === 'severe') return { label: 'Marginal', color: '#eab308' };
+    return { label: 'Low', color: '#22c55e' };
+}
+
+function featuresLevel(f) {
+    if (f.cap?.strength >= 2) return { label: 'Strong Cap', color: '#ef4444' };
+    if (f.cap?.strength >= 1) return { label: 'Capped', color: '#f97316' };
+    if (f.eml) return { label: 'EML', color: '#eab308' };
+    if (f.surfaceInversion) return { label: 'Stable Sfc', color: '#3b82f6' };
+    return { label: 'Uncapped', color: '#22c55e' };
+}
+
+function fireLevel(f) {
+    const haines = f.haines?.value ?? 0;
+    const hdw = f.hdw ?? 0;
+    if (f.dryThunder.level === 'likely' || (haines >= 6 && hdw >= 300)) return { label: 'Critical', color: '#a855f7' };
+    if (haines >= 6 || hdw >= 300) return { label: 'High', color: '#ef4444' };
+    if (haines === 5 || hdw >= 150 || f.dryThunder.level === 'possible') return { label: 'Elevated', color: '#f97316' };
+    if (haines === 4 || hdw >= 75) return { label: 'Marginal', color: '#eab308' };
+    return { label: 'Low', color: '#22c55e' };
+}
+
+function winterLevel(type) {
+    if (type === 'fzra' || type === 'fzdz') return { label: 'Ice', color: '#a855f7' };
+    if (type === 'fzra-sleet' || type === 'sleet') return { label: 'Sleet', color: '#ef4444' };
+    if (type === 'snow' || type === 'snow-sleet') return { label: 'Snow', color: '#3b82f6' };
+    if (type === 'none') return { label: 'Dry', color: '#22c55e' };
+    return { label: 'Mixed', color: '#eab308' };
+}
+
 function pwLevel(pw) {
     if (pw > 2.0) return { label: 'Extreme', color: '#a855f7' };
     if (pw > 1.5) return { label: 'High', color: '#ef4444' };
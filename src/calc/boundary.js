@@ -0,0 +1,134 @@
+/**
+ * Boundary Layer
+ * PBL height by the parcel and bulk Richardson number methods, mixed-layer
+ * moisture, the depth of the moist layer, and whether surface moisture is
+ * likely to mix out during the afternoon
+ */
+
+import { mixingRatio, virtualTemp, dewpointFromMixingRatio, interpAtPressure, firstCrossing, potentialTemp, windComponents } from './thermo.js';
+
+const g = 9.80665;
+
+/** Potential temperature excess (K) of the surface parcel when finding the top of the mixed layer */
+const PARCEL_EXCESS = 0.5;
+/** Critical bulk Richardson number at the top of the PBL */
+const RI_CRITICAL = 0.25;
+/** Floor (m²/s²) on the squared wind difference so calm profiles stay finite */
+const MIN_SHEAR_SQ = 1;
+/** Mixing ratio (g/kg) that marks deep, rich low-level moisture */
+const MOIST_THRESHOLD = 12;
+/** Surface dewpoint drop (°C) from afternoon mixing that counts as mixing out */
+const MIX_OUT_DROP = 3;
+
+/**
+ * @typedef {Object} BoundaryLayerResult
+ * @property {{parcel: {pressure: number, height: number}|null, richardson: {pressure: number, height: number}|null}} pblHeight - heights m AGL
+ * @property {number|null} sfcMixingRatio - g/kg
+ * @property {number|null} mlMixingRatio - mean over the lowest mlDepth hPa, g/kg
+ * @property {{threshold: number, depth: number, topPressure: number}|null} moistLayer - depth (m) from the surface with mixing ratio at or above the threshold
+ * @property {{mixingHeight: {pressure: number, height: number}, mixingRatio: number, dewpoint: number, dewpointDrop: number, likely: boolean}|null} mixOut
+ *   surface moisture once the afternoon mixed layer reaches its full depth
+ */
+
+/** Virtual potential temperature (K), using the dry-bulb where no dewpoint is reported */
+function thetaV(l) {
+    const tv = virtualTemp(l.temp, Math.min(l.dewpoint ?? l.temp, l.temp), l.pressure) - 273.15;
+    return potentialTemp(tv, l.pressure);
+}
+
+/** Wind components (m/s) of a level, or null without a wind report */
+function windVector(l) {
+    return l.windDir == null || l.windSpd == null ? null : windComponents(l.windDir, l.windSpd);
+}
+
+/**
+ * Mean mixing ratio (g/kg) between the surface and pTop, weighted by
+ * pressure, with the profile interpolated to pTop.
+ */
+function layerMixingRatio(levels, pTop) {
+    const pts = levels
+        .filter(l => l.dewpoint != null && l.pressure > pTop)
+        .map(l => ({ pressure: l.pressure, w: mixingRatio(l.dewpoint, l.pressure) }));
+    const tdTop = interpAtPressure(levels, pTop, 'dewpoint');
+    if (tdTop != null) pts.push({ pressure: pTop, w: mixingRatio(tdTop, pTop) });
+    if (pts.length < 2) return pts.length ? pts[0].w : null;
+
+    let sum = 0;
+    for (let i = 1; i < pts.length; i++) {
+        sum += (pts[i - 1].w + pts[i].w) / 2 * (pts[i - 1].pressure - pts[i].pressure);
+    }
+    return sum / (pts[0].pressure - pts.at(-1).pressure);
+}
+
+/**
+ * The parcel method lifts the surface parcel with a small θv excess until it
+ * meets the environmental θv (Holzworth 1964). The bulk Richardson number
+ * Ri(z) = g/θv0 · (θv − θv0) · z / |ΔV|² compares stability with shear
+ * against the surface wind, and the PBL ends where it reaches 0.25.
+ *
+ * For mixing out, the surface heats to the forecast maximum temperature and
+ * the mixed layer grows until its dry adiabat meets the profile; the mean
+ * mixing ratio through that depth sets the afternoon surface dewpoint.
+ *
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels - surface first
+ * @param {Object} base - values from the main analysis
+ * @param {number} base.mlDepth - hPa
+ * @param {number|null} base.maxTemp - forecast afternoon maximum temperature, °C
+ * @returns {BoundaryLayerResult}
+ */
+export function boundaryLayerParameters(levels, base) {
+    const sfc = levels.find(l => l.temp != null && l.dewpoint != null);
+    const none = { pblHeight: { parcel: null, richardson: null }, sfcMixingRatio: null, mlMixingRatio: null, moistLayer: null, mixOut: null };
+    if (!sfc) return none;
+    const p0 = levels[0].pressure;
+    const sfcH = levels[0].height;
+    const round1 = (v) => (v == null ? null : Math.round(v * 10) / 10);
+
+    // PBL height
+    const tv0 = thetaV(sfc);
+    const parcel = firstCrossing(levels, l => (l.temp == null ? null : tv0 + PARCEL_EXCESS - thetaV(l)), 0);
+
+    const wind0 = windVector(levels[0]);
+    let richardson = null;
+    if (wind0) {
+        richardson = firstCrossing(levels, l => {
+            const wind = windVector(l);
+            if (l.temp == null || !wind) return null;
+            const shearSq = Math.max(MIN_SHEAR_SQ, (wind.u - wind0.u) ** 2 + (wind.v - wind0.v) ** 2);
+            return RI_CRITICAL - g / tv0 * (thetaV(l) - tv0) * (l.height - sfcH) / shearSq;
+        }, 0);
+    }
+
+    // Mixed-layer and moist-layer moisture
+    const sfcW = mixingRatio(sfc.dewpoint, sfc.pressure);
+    const mlW = layerMixingRatio(levels, p0 - base.mlDepth);
+    const moistTop = firstCrossing(levels, l => (l.dewpoint == null ? null : mixingRatio(l.dewpoint, l.pressure)), MOIST_THRESHOLD);
+    const moistLayer = moistTop ? { threshold: MOIST_THRESHOLD, depth: moistTop.height, topPressure: moistTop.pressure } : null;
+
+    // Afternoon mixing
+    let mixOut = null;
+    const tMax = Math.max(sfc.temp, base.maxTemp ?? sfc.temp);
+    const thetaMax = potentialTemp(tMax, p0) + PARCEL_EXCESS;
+    const mixingHeight = firstCrossing(levels, l => (l.temp == null ? null : thetaMax - potentialTemp(l.temp, l.pressure)), 0);
+    if (mixingHeight && mixingHeight.height > 0) {
+        const w = layerMixingRatio(levels, mixingHeight.pressure);
+        if (w != null) {
+            const dewpoint = Math.min(sfc.dewpoint, dewpointFromMixingRatio(w, p0));
+            mixOut = {
+                mixingHeight,
+                mixingRatio: round1(w),
+                dewpoint: round1(dewpoint),
+                dewpointDrop: round1(sfc.dewpoint - dewpoint),
+                likely: sfc.dewpoint - dewpoint >= MIX_OUT_DROP,
+            };
+        }
+    }
+
+    return {
+        pblHeight: { parcel, richardson },
+        sfcMixingRatio: round1(sfcW),
+        mlMixingRatio: round1(mlW),
+        moistLayer,
+        mixOut,
+    };
+}
@@ -0,0 +1,87 @@
+/**
+ * Convective Temperature
+ * Convective condensation level, convective temperature, maximum temperature
+ * from mixing down 850/700 hPa air, and what it takes to break the cap
+ */
+
+import { mixingRatio, dewpointFromMixingRatio, dryAdiabat, interpAtPressure, firstCrossing } from './thermo.js';
+
+/** Sites this far below 850 hPa mix down 700 hPa air instead */
+const MIX_850_MIN_PRESSURE = 875;
+
+/**
+ * @typedef {Object} ConvectiveResult
+ * @property {{pressure: number, height: number, temp: number}|null} ccl - height m AGL, temp °C
+ * @property {number|null} convectiveTemp - surface temperature (°C) needed for surface-based convection
+ * @property {{from850: number|null, from700: number|null, forecast: number|null, level: 850|700}} maxTemp - °C
+ * @property {number|null} warmingNeeded - °C above the current surface temperature, 0 when already reached
+ * @property {number|null} requiredDewpoint - surface dewpoint (°C) that would break the cap at the current temperature
+ * @property {number|null} moisteningNeeded - °C of dewpoint rise, 0 when already reached
+ * @property {boolean|null} capBreaks - whether the forecast maximum reaches the convective temperature
+ */
+
+/**
+ * The CCL is where the mixing-ratio line through the surface dewpoint meets
+ * the temperature profile; the dry adiabat from there down to the surface
+ * gives the convective temperature. The maximum temperature assumes a
+ * well-mixed afternoon boundary layer reaching 850 hPa (700 hPa at high
+ * sites), so the air there comes down dry adiabatically.
+ *
+ * Moistening works the other way: at the current temperature the mixed layer
+ * follows the dry adiabat up to where it meets the profile, and the surface
+ * needs enough moisture to saturate there.
+ *
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels
+ * @returns {ConvectiveResult}
+ */
+export function convectiveParameters(levels) {
+    const sfc = levels.find(l => l.temp != null && l.dewpoint != null);
+    const none = {
+        ccl: null, convectiveTemp: null, maxTemp: { from850: null, from700: null, forecast: null, level: 850 },
+        warmingNeeded: null, requiredDewpoint: null, moisteningNeeded: null, capBreaks: null,
+    };
+    if (!sfc) return none;
+    const p0 = levels[0].pressure;
+    const round1 = (v) => (v == null ? null : Math.round(v * 10) / 10);
+
+    // Maximum temperature by mixing down
+    const mixDown = (p) => {
+        if (p >= p0) return null;
+        const t = interpAtPressure(levels, p, 'temp');
+        return t == null ? null : dryAdiabat(t, p, p0);
+    };
+    const from850 = mixDown(850);
+    const from700 = mixDown(700);
+    const level = p0 >= MIX_850_MIN_PRESSURE ? 850 : 700;
+    const forecast = level === 850 ? from850 : from700;
+    const maxTemp = { from850: round1(from850), from700: round1(from700), forecast: round1(forecast), level };
+
+    // CCL and convective temperature
+    const w = mixingRatio(sfc.dewpoint, sfc.pressure);
+    const crossing = firstCrossing(levels, l => (l.temp == null ? null : l.temp - dewpointFromMixingRatio(w, l.pressure)), 0);
+    if (!crossing) return { ...none, maxTemp };
+    const cclTemp = interpAtPressure(levels, crossing.pressure, 'temp');
+    const convectiveTemp = dryAdiabat(cclTemp, crossing.pressure, p0);
+
+    // Dewpoint that saturates the current mixed layer where it meets the profile
+    const top = firstCrossing(
+        levels,
+        l => (l === levels[0] || l.temp == null ? null : dryAdiabat(sfc.temp, p0, l.pressure) - l.temp),
+        0,
+    );
+    let requiredDewpoint = null;
+    if (top) {
+        const tTop = interpAtPressure(levels, top.pressure, 'temp');
+        requiredDewpoint = Math.min(sfc.temp, dewpointFromMixingRatio(mixingRatio(tTop, top.pressure), p0));
+    }
+
+    return {
+        ccl: { pressure: crossing.pressure, height: crossing.height, temp: round1(cclTemp) },
+        convectiveTemp: round1(convectiveTemp),
+        maxTemp,
+        warmingNeeded: round1(Math.max(0, convectiveTemp - sfc.temp)),
+        requiredDewpoint: round1(requiredDewpoint),
+        moisteningNeeded: requiredDewpoint == null ? null : round1(Math.max(0, requiredDewpoint - sfc.dewpoint)),
+        capBreaks: forecast == null ? null : Math.max(forecast, sfc.temp) >= convectiveTemp,
+    };
+}
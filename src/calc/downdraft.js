@@ -0,0 +1,91 @@
+/**
+ * Downdraft Analysis
+ * Downdraft CAPE from the minimum theta-e parcel, its moist-adiabatic descent
+ * to the surface, and the outflow / cold-pool estimates that follow from it
+ */
+
+import { thetaE, wetBulb, moistAdiabat, virtualTemp, environmentAtLevels } from './thermo.js';
+
+/** Depth (hPa) above the surface searched for the downdraft source */
+const SEARCH_DEPTH = 400;
+/** Largest pressure step (hPa) when integrating the descent down the moist adiabat */
+const MOIST_STEP = 2;
+
+const g = 9.80665;
+
+/**
+ * @typedef {Object} DowndraftResult
+ * @property {number} dcape - J/kg
+ * @property {number|null} dcapeOrigin - hPa, the minimum theta-e level
+ * @property {number|null} dcapeThetaE - K
+ * @property {{pressure: number, temp: number, tv: number}[]} downdraftParcel - surface first, °C
+ * @property {number|null} outflowTemp - °C at the surface
+ * @property {number|null} coldPool - surface temperature minus outflow temperature (°C)
+ */
+
+/**
+ * Downdraft CAPE: the parcel with the lowest theta-e in the lowest 400 hPa,
+ * cooled to its wet-bulb temperature and carried down the moist adiabat
+ * (saturated descent, evaporation keeping pace). DCAPE is the negative
+ * buoyancy it accumulates on the way to the surface, reported positive.
+ *
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels
+ * @param {boolean} [virtual=true] - compare virtual temperatures, as in calcCAPE_CIN
+ * @param {Map} [env] - environmentAtLevels(levels, virtual), when the caller already has it
+ * @returns {DowndraftResult}
+ */
+export function downdraftParameters(levels, virtual = true, env = environmentAtLevels(levels, virtual)) {
+    const none = { dcape: 0, dcapeOrigin: null, dcapeThetaE: null, downdraftParcel: [], outflowTemp: null, coldPool: null };
+
+    const sfc = levels.find(l => l.temp != null && l.dewpoint != null);
+    if (!sfc) return none;
+    const sfcP = levels[0].pressure;
+
+    // Minimum theta-e source level
+    let origin = null, minThetaE = Infinity;
+    for (const lev of levels) {
+        if (lev.pressure < sfcP - SEARCH_DEPTH) break;
+        if (lev.temp == null || lev.dewpoint == null) continue;
+        const te = thetaE(lev.temp, lev.dewpoint, lev.pressure);
+        if (te < minThetaE) {
+            minThetaE = te;
+            origin = lev;
+        }
+    }
+    if (!origin || origin.pressure >= sfcP) return none;
+
+    const tw = wetBulb(origin.temp, origin.dewpoint, origin.pressure);
+
+    // Descent path on the sounding's own levels, each continuing from the one above; surface first
+    const parcel = [];
+    let moist = { t: tw, p: origin.pressure };
+    for (const l of levels.filter(l => l.pressure >= origin.pressure).reverse()) {
+        const steps = Math.max(1, Math.ceil((l.pressure - moist.p) / MOIST_STEP));
+        const temp = l.pressure === moist.p ? moist.t : moistAdiabat(moist.t, moist.p, l.pressure, steps);
+        moist = { t: temp, p: l.pressure };
+        parcel.unshift({ pressure: l.pressure, temp, tv: virtualTemp(temp, temp, l.pressure) - 273.15 });
+    }
+
+    let dcape = 0;
+    for (let i = parcel.length - 1; i > 0; i--) {
+        const upper = parcel[i], lower = parcel[i - 1];
+        const { t: env1, z: z1 } = env.get(upper.pressure);
+        const { t: env2, z: z2 } = env.get(lower.pressure);
+        if (env1 === null || env2 === null || z1 === null || z2 === null) continue;
+
+        const t1 = (virtual ? upper.tv : upper.temp) + 273.15;
+        const t2 = (virtual ? lower.tv : lower.temp) + 273.15;
+        const buoy = ((env1 - t1) / env1 + (env2 - t2) / env2) / 2;
+        dcape += g * buoy * (z1 - z2);
+    }
+
+    const outflowTemp = parcel[0].temp;
+    return {
+        dcape: Math.round(Math.max(0, dcape)),
+        dcapeOrigin: Math.round(origin.pressure),
+        dcapeThetaE: Math.round(minThetaE * 10) / 10,
+        downdraftParcel: parcel,
+        outflowTemp: Math.round(outflowTemp * 10) / 10,
+        coldPool: Math.round((sfc.temp - outflowTemp) * 10) / 10,
+    };
+}
@@ -0,0 +1,206 @@
+/**
+ * Entraining CAPE
+ * Peters et al. (2023) analytic ECAPE for the SB, ML and MU parcels, with
+ * entrainment set by the storm-relative inflow, and an entraining parcel path
+ */
+
+import { mixingRatio, heightAtPressure, pressureAtHeight, ktsToMs } from './thermo.js';
+import { stormRelativeWind } from './motion.js';
+
+const Cp = 1005.7;
+const Lv = 2.501e6;
+const g = 9.80665;
+
+/** Peters et al. (2023) constants for the updraft and its turbulent mixing */
+const K2 = 0.18;            // von Kármán constant squared
+const ALPHA = 0.8;          // updraft shape factor
+const MIX_LENGTH = 120;     // m
+const PRANDTL = 1 / 3;
+const SIGMA = 1.6;          // ratio of the inflow radius to the updraft radius
+
+/** Height step (m) for the entraining parcel ascent */
+const STEP = 50;
+
+/**
+ * @typedef {Object} ParcelEcape
+ * @property {number} ecape - J/kg
+ * @property {number} ncape - J/kg, the buoyancy dilution potential of the environment
+ * @property {number|null} ratio - ECAPE as a percentage of the undilute CAPE
+ * @property {number|null} entrainment - fractional entrainment rate, % per km
+ */
+
+/**
+ * @typedef {Object} EcapeResult
+ * @property {{sb: ParcelEcape, ml: ParcelEcape, mu: ParcelEcape, srInflow: number|null}} ecape - srInflow is the 0-1 km storm-relative wind, kt
+ * @property {{pressure: number, temp: number, tv: number}[]} sbEntrainingParcel - °C, empty without SBCAPE
+ */
+
+/**
+ * Environmental moist static energy h and its saturated counterpart h*
+ * (J/kg) at each level, with the running mean of h from the surface up.
+ */
+function energyProfile(levels) {
+    const sfcH = levels[0].height;
+    const env = levels
+        .filter(l => l.temp != null && l.dewpoint != null && l.height != null)
+        .map(l => {
+            const z = l.height - sfcH;
+            const T = l.temp + 273.15;
+            return {
+                pressure: l.pressure,
+                z,
+                T,
+                q: mixingRatio(l.dewpoint, l.pressure) / 1000,
+                h: Cp * T + g * z + Lv * mixingRatio(l.dewpoint, l.pressure) / 1000,
+                hs: Cp * T + g * z + Lv * mixingRatio(l.temp, l.pressure) / 1000,
+            };
+        });
+
+    let sum = 0;
+    env.forEach((e, i) => {
+        if (i > 0) sum += (e.h + env[i - 1].h) / 2 * (e.z - env[i - 1].z);
+        e.hMean = e.z > 0 ? sum / e.z : e.h;
+    });
+    return env;
+}
+
+/**
+ * NCAPE: −∫ g/(cp·T) (h̄ − h*) dz from the LFC to the EL, where h̄ is the
+ * mean moist static energy below each height. Large values mean the air an
+ * updraft mixes in is dry relative to saturation and dilutes it strongly.
+ */
+function calcNCAPE(env, lfcZ, elZ) {
+    const layer = env.filter(e => e.z >= lfcZ && e.z <= elZ);
+    let ncape = 0;
+    for (let i = 0; i < layer.length - 1; i++) {
+        const a = layer[i], b = layer[i + 1];
+        const fa = -g / (Cp * a.T) * (a.hMean - a.hs);
+        const fb = -g / (Cp * b.T) * (b.hMean - b.hs);
+        ncape += (fa + fb) / 2 * (b.z - a.z);
+    }
+    return Math.max(0, ncape);
+}
+
+/**
+ * Peters et al. (2023) analytic ECAPE from CAPE, NCAPE, the storm-relative
+ * inflow V (m/s) and the nondimensional entrainment parameter ψ, in the
+ * dimensional form of the authors' reference code:
+ *
+ *   ECAPE = V²/2 + E,  (2ψ/V²)·E² + (1 + ψ + (2ψ/V²)·NCAPE)·E = CAPE − ψ·NCAPE
+ *
+ * E, the positive root, is the part that sets the entrainment rate.
+ * CAPE 3000, NCAPE 500, V 15 m/s and a 12 km EL (ψ ≈ 0.0033) give about 2840 J/kg.
+ *
+ * @returns {{ecape: number, root: number}} J/kg
+ */
+function analyticEcape(cape, ncape, vsr, psi) {
+    const v2 = vsr * vsr;
+    const a = 2 * psi / v2;
+    const b = 1 + psi + a * ncape;
+    const root = (-b + Math.sqrt(b * b + 4 * a * (cape - psi * ncape))) / (2 * a);
+    return { ecape: Math.max(0, v2 / 2 + root), root: Math.max(0, root) };
+}
+
+/**
+ * Temperature (K) of a saturated parcel with moist static energy h at (z, p).
+ */
+function saturatedTemp(h, z, p, guess) {
+    let T = guess;
+    for (let i = 0; i < 20; i++) {
+        const tc = T - 273.15;
+        const qs = mixingRatio(tc, p) / 1000;
+        const f = Cp * T + g * z + Lv * qs - h;
+        const dqs = qs * 17.67 * 243.5 / ((tc + 243.5) ** 2);
+        const dT = f / (Cp + Lv * dqs);
+        T -= dT;
+        if (Math.abs(dT) < 0.001) break;
+    }
+    return T;
+}
+
+/**
+ * Lift a parcel that entrains environmental air at `rate` (per m). Moist
+ * static energy and water vapor relax toward the environment each step;
+ * once saturated the parcel stays saturated and condensate falls out.
+ * Output matches liftParcel: {pressure, temp, tv} at the sounding levels.
+ */
+function entrainingParcel(levels, env, src, rate) {
+    const sfcH = levels[0].height;
+    let z = heightAtPressure(levels, src.pressure) - sfcH;
+    let T = src.temp + 273.15;
+    let q = mixingRatio(src.dewpoint, src.pressure) / 1000;
+    let h = Cp * T + g * z + Lv * q;
+    let saturated = false;
+
+    const path = [{ pressure: src.pressure, temp: src.temp, tv: T * (1 + 0.61 * q) - 273.15 }];
+    for (let i = 1; i < env.length; i++) {
+        const a = env[i - 1], b = env[i];
+        if (b.z <= z) continue;
+
+        const n = Math.ceil((b.z - z) / STEP);
+        const dz = (b.z - z) / n;
+        for (let s = 0; s < n; s++) {
+            const frac = Math.min(1, Math.max(0, (z + dz / 2 - a.z) / (b.z - a.z)));
+            h -= rate * dz * (h - (a.h + frac * (b.h - a.h)));
+            q -= rate * dz * (q - (a.q + frac * (b.q - a.q)));
+            z += dz;
+
+            const p = pressureAtHeight(levels, z);
+            T = (h - g * z - Lv * q) / Cp;
+            if (saturated || q > mixingRatio(T - 273.15, p) / 1000) {
+                saturated = true;
+                T = saturatedTemp(h, z, p, T);
+                q = mixingRatio(T - 273.15, p) / 1000;
+            }
+        }
+        path.push({ pressure: b.pressure, temp: T - 273.15, tv: T * (1 + 0.61 * q) - 273.15 });
+    }
+    return path;
+}
+
+/**
+ * Entraining CAPE for the three standard parcels. The entrainment parameter ψ
+ * follows from the EL height, and the fractional entrainment rate from ψ,
+ * ECAPE and the 0-1 km storm-relative inflow: weak inflow means narrow
+ * updrafts that mix in more of their surroundings.
+ *
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels
+ * @param {Object} base
+ * @param {{u: number, v: number}} base.stormMotion - m/s
+ * @param {Object<string, {source: {temp: number, dewpoint: number, pressure: number}, result: {cape: number, lfc: Object|null, el: Object|null}}>} base.parcels
+ *   sb, ml and mu parcels with their calcCAPE_CIN result (LFC/EL heights MSL)
+ * @returns {EcapeResult}
+ */
+export function ecapeParameters(levels, base) {
+    const sfcH = levels[0].height;
+    const env = energyProfile(levels);
+    const srInflow = stormRelativeWind(levels, 0, 1000, base.stormMotion);
+    // Guard against a storm moving with the low-level wind
+    const vsr = ktsToMs(Math.max(srInflow ?? 0, 2));
+
+    const ecape = { srInflow };
+    let sbEntrainingParcel = [];
+
+    for (const [key, { source, result }] of Object.entries(base.parcels)) {
+        if (result.cape <= 0 || !result.lfc || !result.el) {
+            ecape[key] = { ecape: 0, ncape: 0, ratio: null, entrainment: null };
+            continue;
+        }
+
+        const elZ = result.el.height - sfcH;
+        const psi = (K2 * ALPHA * ALPHA * Math.PI * Math.PI * MIX_LENGTH) / (4 * PRANDTL * SIGMA * SIGMA * elZ);
+        const ncape = calcNCAPE(env, result.lfc.height - sfcH, elZ);
+        const { ecape: e, root } = analyticEcape(result.cape, ncape, vsr, psi);
+        const rate = 2 * psi * root / (elZ * vsr * vsr);
+
+        ecape[key] = {
+            ecape: Math.round(e),
+            ncape: Math.round(ncape),
+            ratio: Math.round(e / result.cape * 100),
+            entrainment: Math.round(rate * 1e5 * 10) / 10,
+        };
+        if (key === 'sb' && root > 0) sbEntrainingParcel = entrainingParcel(levels, env, source, rate);
+    }
+
+    return { ecape, sbEntrainingParcel };
+}
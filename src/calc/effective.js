@@ -0,0 +1,136 @@
+/**
+ * Effective Inflow Layer Parameters
+ * Effective inflow layer (Thompson et al. 2007), effective SRH, effective bulk
+ * wind difference and the effective-layer STP / SCP built on them
+ */
+
+import { liftParcel, calcCAPE_CIN, environmentAtLevels, heightAtPressure, bulkShear, calcSRH, msToKts } from './thermo.js';
+
+/** Effective inflow criteria */
+const MIN_CAPE = 100;   // J/kg
+const MIN_CIN = -250;   // J/kg
+/** How far above the surface (hPa) to look for the bottom of the layer */
+const SEARCH_DEPTH = 300;
+/** Minimum spacing (hPa) between the parcels tested */
+const CANDIDATE_SPACING = 10;
+
+/**
+ * Find the effective inflow layer: the contiguous layer, starting at the
+ * lowest qualifying level, whose parcels have CAPE ≥ 100 J/kg and CIN ≥ -250 J/kg.
+ * Parcels are tested at levels at least 10 hPa apart, going up only until the
+ * bottom and then the top of the layer are found, against an environment
+ * interpolated once, so dense profiles stay fast.
+ *
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels
+ * @param {boolean} [virtual=true] - virtual temperature correction in the parcel CAPE/CIN
+ * @param {Map} [env] - environmentAtLevels(levels, virtual), when the caller already has it
+ * @returns {{bottomPressure: number, topPressure: number, bottomHeight: number, topHeight: number}|null}
+ *   heights in m AGL; null when no level qualifies
+ */
+export function effectiveInflowLayer(levels, virtual = true, env = environmentAtLevels(levels, virtual)) {
+    const sfcH = levels[0].height;
+    const sfcP = levels[0].pressure;
+
+    const candidates = [];
+    for (const l of levels) {
+        if (l.temp == null || l.dewpoint == null) continue;
+        const last = candidates.at(-1);
+        if (!last || last.pressure - l.pressure >= CANDIDATE_SPACING) candidates.push(l);
+    }
+
+    let bottom = null, top = null;
+    for (const lev of candidates) {
+        if (bottom === null && lev.pressure < sfcP - SEARCH_DEPTH) break;
+
+        const { parcel } = liftParcel(lev.temp, lev.dewpoint, lev.pressure, levels);
+        const { cape, cin } = calcCAPE_CIN(levels, parcel, virtual, env);
+        const qualifies = cape >= MIN_CAPE && cin >= MIN_CIN;
+
+        if (qualifies) {
+            if (bottom === null) bottom = lev;
+            top = lev;
+        } else if (bottom !== null) {
+            break;
+        }
+    }
+
+    if (bottom === null) return null;
+    return {
+        bottomPressure: bottom.pressure,
+        topPressure: top.pressure,
+        bottomHeight: Math.round(bottom.height - sfcH),
+        topHeight: Math.round(top.height - sfcH),
+    };
+}
+
+/**
+ * Effective-layer kinematics and composites.
+ *
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels
+ * @param {Object} base - values from the fixed-layer analysis
+ * @param {boolean} base.virtual
+ * @param {Map} [base.env] - environmentAtLevels(levels, base.virtual)
+ * @param {{u: number, v: number}} base.stormMotion - m/s (Bunkers right mover or the user's motion)
+ * @param {number} base.mlcape
+ * @param {number} base.mlcin
+ * @param {number} base.mlLclHeight - m AGL
+ * @param {number} base.mucape
+ * @param {number} base.mucin
+ * @param {number|null} base.muElPressure - hPa
+ * @returns {Object}
+ */
+export function effectiveParameters(levels, base) {
+    const layer = effectiveInflowLayer(levels, base.virtual, base.env);
+    if (!layer) {
+        return { effectiveLayer: null, elevatedInflow: false, esrh: 0, ebwd: 0, stpEffective: 0, scpEffective: 0 };
+    }
+
+    const sfcH = levels[0].height;
+    const esrh = calcSRH(levels, layer.bottomHeight, layer.topHeight, base.stormMotion.u, base.stormMotion.v);
+
+    // EBWD: from the bottom of the inflow layer to half the MU equilibrium level height
+    let ebwd = 0;
+    const muElZ = base.muElPressure != null ? heightAtPressure(levels, base.muElPressure) : null;
+    if (muElZ != null) {
+        const elAGL = muElZ - sfcH;
+        const topAGL = layer.bottomHeight + 0.5 * (elAGL - layer.bottomHeight);
+        if (topAGL > layer.bottomHeight) ebwd = bulkShear(levels, layer.bottomHeight, topAGL).mag;
+    }
+
+    return {
+        effectiveLayer: layer,
+        elevatedInflow: layer.bottomHeight > 0,
+        esrh: Math.round(esrh),
+        ebwd: Math.round(msToKts(ebwd)),
+        stpEffective: Math.round(calcEffectiveSTP(base.mlcape, base.mlLclHeight, esrh, ebwd, base.mlcin, layer) * 10) / 10,
+        scpEffective: Math.round(calcEffectiveSCP(base.mucape, esrh, ebwd, base.mucin) * 10) / 10,
+    };
+}
+
+/**
+ * Effective-layer STP (Thompson et al. 2012), EBWD in m/s. Zero when the
+ * inflow layer is elevated, since the parameter targets surface-based storms.
+ */
+function calcEffectiveSTP(mlcape, mlLcl, esrh, ebwd, mlcin, layer) {
+    if (layer.bottomHeight > 0) return 0;
+
+    const capeTerm = mlcape / 1500;
+    const lclTerm = mlLcl < 1000 ? 1 : mlLcl > 2000 ? 0 : (2000 - mlLcl) / 1000;
+    const srhTerm = esrh / 150;
+    const shearTerm = ebwd < 12.5 ? 0 : Math.min(ebwd, 30) / 20;
+    const cinTerm = mlcin > -50 ? 1 : mlcin < -200 ? 0 : (200 + mlcin) / 150;
+
+    return Math.max(0, capeTerm * lclTerm * srhTerm * shearTerm * cinTerm);
+}
+
+/**
+ * Effective SCP (Thompson et al. 2004, SPC mesoanalysis form), EBWD in m/s.
+ */
+function calcEffectiveSCP(mucape, esrh, ebwd, mucin) {
+    const capeTerm = mucape / 1000;
+    const srhTerm = esrh / 50;
+    const shearTerm = ebwd < 10 ? 0 : ebwd > 20 ? 1 : ebwd / 20;
+    const cinTerm = mucin < -40 ? -40 / mucin : 1;
+
+    return capeTerm * srhTerm * shearTerm * cinTerm;
+}
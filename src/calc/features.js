@@ -0,0 +1,254 @@
+/**
+ * Profile Features
+ * Inversions, the elevated mixed layer, the low-level jet, the WMO lapse-rate
+ * tropopause and the jet-level wind maximum, picked out of the observed levels
+ */
+
+import { mixingRatio } from './thermo.js';
+
+/** Inversions weaker than this (°C) are treated as noise */
+const MIN_INVERSION = 0.5;
+/** Inversions are only looked for below this pressure level */
+const INVERSION_TOP = 300;
+/** A capping inversion starts within this height (m AGL) */
+const CAP_MAX_BASE = 3500;
+
+/** Elevated mixed layer criteria */
+const EML_LAPSE = 7.5;              // °C/km over the whole layer
+const EML_SEGMENT_LAPSE = 7;        // °C/km for each observed segment in it
+const EML_MIN_DEPTH = 1500;         // m
+const EML_MIN_BASE = 500;           // m AGL, so the surface mixed layer doesn't count
+const EML_MAX_RH = 60;              // %, mean through the layer
+const EML_BOTTOM = 850;             // hPa
+const EML_TOP = 400;                // hPa
+
+/** Bonner (1968) low-level jet criteria: minimum speed and falloff above, kt */
+const LLJ_MAX_HEIGHT = 1500;        // m AGL
+const LLJ_FALLOFF_TOP = 3000;       // m AGL
+const LLJ_CRITERIA = [
+    { category: 3, speed: 39, falloff: 19 },
+    { category: 2, speed: 31, falloff: 16 },
+    { category: 1, speed: 23, falloff: 12 },
+];
+
+/** WMO tropopause: lapse rate (°C/km) and the depth (m) it must hold for */
+const TROPO_LAPSE = 2;
+const TROPO_DEPTH = 2000;
+const TROPO_BOTTOM = 500;           // hPa
+
+/** The jet-level wind maximum is searched for between these levels */
+const JET_BOTTOM = 500;             // hPa
+const JET_TOP = 100;                // hPa
+
+/**
+ * @typedef {Object} Inversion
+ * @property {'surface'|'capping'|'elevated'} type
+ * @property {number} bottomPressure
+ * @property {number} topPressure
+ * @property {number} bottomHeight - m AGL
+ * @property {number} topHeight - m AGL
+ * @property {number} depth - m
+ * @property {number} strength - temperature rise through the layer, °C
+ */
+
+/**
+ * @typedef {Object} FeaturesResult
+ * @property {Inversion[]} inversions - surface first, below 300 hPa and the tropopause
+ * @property {Inversion|null} surfaceInversion
+ * @property {Inversion|null} cap - lowest elevated inversion starting within 3.5 km
+ * @property {{bottomPressure: number, topPressure: number, bottomHeight: number, topHeight: number, depth: number, lapseRate: number, rh: number, capped: boolean}|null} eml
+ * @property {{pressure: number, height: number, speed: number, dir: number, falloff: number, category: number}|null} llj - Bonner category 1-3
+ * @property {{pressure: number, height: number, temp: number}|null} tropopause - height m AGL
+ * @property {{pressure: number, height: number, speed: number, dir: number}|null} jetMax - height m AGL
+ */
+
+/** Lapse rate (°C/km) between two levels with temperatures and heights */
+function lapse(a, b) {
+    return (a.temp - b.temp) / (b.height - a.height) * 1000;
+}
+
+/**
+ * WMO (1957) lapse-rate tropopause: the lowest level above 500 hPa where the
+ * lapse rate falls to 2 °C/km or less and the mean lapse rate from there to
+ * every level within the next 2 km stays at or below 2 °C/km.
+ */
+function findTropopause(thermo) {
+    for (let i = 0; i < thermo.length - 1; i++) {
+        const base = thermo[i];
+        if (base.pressure > TROPO_BOTTOM) continue;
+        if (lapse(base, thermo[i + 1]) > TROPO_LAPSE) continue;
+
+        let holds = true;
+        let reached = false;
+        for (let j = i + 1; j < thermo.length; j++) {
+            if (thermo[j].height - base.height > TROPO_DEPTH) {
+                reached = true;
+                break;
+            }
+            if (lapse(base, thermo[j]) > TROPO_LAPSE) {
+                holds = false;
+                break;
+            }
+        }
+        // A sounding that ends inside the 2 km test layer needs at least half of it
+        if (holds && (reached || thermo.at(-1).height - base.height >= TROPO_DEPTH / 2)) return base;
+    }
+    return null;
+}
+
+/**
+ * Layers where temperature rises with height, merged across observed levels.
+ * The lowest one is surface-based if it starts at the ground; the first
+ * elevated one within 3.5 km is the cap.
+ */
+function findInversions(thermo, topPressure, sfcH) {
+    const inversions = [];
+    let cur = null;
+    for (let i = 1; i < thermo.length; i++) {
+        const a = thermo[i - 1], b = thermo[i];
+        if (b.pressure < topPressure) break;
+        if (b.temp > a.temp) {
+            if (!cur) cur = { bottom: a, top: b };
+            else cur.top = b;
+            continue;
+        }
+        if (cur) inversions.push(cur);
+        cur = null;
+    }
+    if (cur) inversions.push(cur);
+
+    let capFound = false;
+    return inversions
+        .filter(({ bottom, top }) => top.temp - bottom.temp >= MIN_INVERSION)
+        .map(({ bottom, top }) => {
+            const bottomHeight = Math.round(bottom.height - sfcH);
+            let type = 'elevated';
+            if (bottom === thermo[0]) type = 'surface';
+            else if (!capFound && bottomHeight <= CAP_MAX_BASE) {
+                type = 'capping';
+                capFound = true;
+            }
+            return {
+                type,
+                bottomPressure: Math.round(bottom.pressure),
+                topPressure: Math.round(top.pressure),
+                bottomHeight,
+                topHeight: Math.round(top.height - sfcH),
+                depth: Math.round(top.height - bottom.height),
+                strength: Math.round((top.temp - bottom.temp) * 10) / 10,
+            };
+        });
+}
+
+/**
+ * Elevated mixed layer: the deepest run of observed segments between 850 and
+ * 400 hPa that each lapse at 7 °C/km or more, averaging at least 7.5 °C/km
+ * over 1.5 km or more, based above the surface mixed layer and dry (mean RH
+ * 60% or less). It is capped when an inversion tops out at its base.
+ */
+function findEML(thermo, inversions, sfcH) {
+    const runs = [];
+    let run = null;
+    for (let i = 1; i < thermo.length; i++) {
+        const a = thermo[i - 1], b = thermo[i];
+        const inRange = a.pressure <= EML_BOTTOM && b.pressure >= EML_TOP;
+        if (inRange && lapse(a, b) >= EML_SEGMENT_LAPSE) {
+            if (!run) run = [a, b];
+            else run.push(b);
+            continue;
+        }
+        if (run) runs.push(run);
+        run = null;
+    }
+    if (run) runs.push(run);
+
+    let best = null;
+    for (const r of runs) {
+        const bottom = r[0], top = r[r.length - 1];
+        const depth = top.height - bottom.height;
+        if (depth < EML_MIN_DEPTH || bottom.height - sfcH < EML_MIN_BASE) continue;
+        if (lapse(bottom, top) < EML_LAPSE) continue;
+
+        const withDew = r.filter(l => l.dewpoint != null);
+        if (withDew.length === 0) continue;
+        const rh = withDew.reduce((s, l) => s + 100 * mixingRatio(l.dewpoint, l.pressure) / mixingRatio(l.temp, l.pressure), 0) / withDew.length;
+        if (rh > EML_MAX_RH) continue;
+
+        if (!best || depth > best.depth) best = { bottom, top, depth, rh };
+    }
+    if (!best) return null;
+
+    const { bottom, top } = best;
+    return {
+        bottomPressure: Math.round(bottom.pressure),
+        topPressure: Math.round(top.pressure),
+        bottomHeight: Math.round(bottom.height - sfcH),
+        topHeight: Math.round(top.height - sfcH),
+        depth: Math.round(best.depth),
+        lapseRate: Math.round(lapse(bottom, top) * 10) / 10,
+        rh: Math.round(best.rh),
+        capped: inversions.some(inv => inv.type !== 'surface' && Math.abs(inv.topPressure - bottom.pressure) <= 25),
+    };
+}
+
+/**
+ * Low-level jet (Bonner 1968): the strongest wind in the lowest 1.5 km,
+ * provided it is at least 23 kt and the wind drops by 12 kt or more above it
+ * before 3 km. Stronger maxima with larger falloffs reach categories 2 and 3.
+ */
+function findLLJ(winds, sfcH) {
+    const low = winds.filter(l => l.height - sfcH <= LLJ_MAX_HEIGHT);
+    if (low.length === 0) return null;
+    const max = low.reduce((m, l) => (l.windSpd > m.windSpd ? l : m));
+
+    const above = winds.filter(l => l.pressure < max.pressure && l.height - sfcH <= LLJ_FALLOFF_TOP);
+    if (above.length === 0) return null;
+    const falloff = max.windSpd - Math.min(...above.map(l => l.windSpd));
+
+    const match = LLJ_CRITERIA.find(c => max.windSpd >= c.speed && falloff >= c.falloff);
+    if (!match) return null;
+    return {
+        pressure: Math.round(max.pressure),
+        height: Math.round(max.height - sfcH),
+        speed: Math.round(max.windSpd),
+        dir: Math.round(max.windDir),
+        falloff: Math.round(falloff),
+        category: match.category,
+    };
+}
+
+/**
+ * Detect the layer features of a sounding.
+ *
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels - surface first
+ * @returns {FeaturesResult}
+ */
+export function profileFeatures(levels) {
+    const sfcH = levels[0].height;
+    const thermo = levels.filter(l => l.temp != null && l.height != null);
+    const winds = levels.filter(l => l.windSpd != null && l.windDir != null && l.height != null);
+
+    const trop = findTropopause(thermo);
+    const tropopause = trop
+        ? { pressure: Math.round(trop.pressure), height: Math.round(trop.height - sfcH), temp: Math.round(trop.temp * 10) / 10 }
+        : null;
+
+    const inversions = thermo.length > 1
+        ? findInversions(thermo, Math.max(INVERSION_TOP, trop ? trop.pressure : 0), sfcH)
+        : [];
+
+    const upper = winds.filter(l => l.pressure <= JET_BOTTOM && l.pressure >= JET_TOP);
+    const jet = upper.length ? upper.reduce((m, l) => (l.windSpd > m.windSpd ? l : m)) : null;
+
+    return {
+        inversions,
+        surfaceInversion: inversions.find(inv => inv.type === 'surface') ?? null,
+        cap: inversions.find(inv => inv.type === 'capping') ?? null,
+        eml: findEML(thermo, inversions, sfcH),
+        llj: findLLJ(winds, sfcH),
+        tropopause,
+        jetMax: jet
+            ? { pressure: Math.round(jet.pressure), height: Math.round(jet.height - sfcH), speed: Math.round(jet.windSpd), dir: Math.round(jet.windDir) }
+            : null,
+    };
+}
@@ -0,0 +1,143 @@
+/**
+ * Fire-Weather Diagnostics
+ * Haines Index, Hot-Dry-Windy Index, mixing height, transport wind,
+ * ventilation index and a dry-thunderstorm indicator
+ */
+
+import { es, interpAtPressure, meanWind, firstCrossing, ktsToMs, msToKts, potentialTemp } from './thermo.js';
+
+/**
+ * Haines variants: the two pressures for stability and the one for moisture,
+ * with the upper bounds of categories 1 and 2 for each term.
+ */
+const HAINES = {
+    low: { lower: 950, upper: 850, moist: 850, stability: [3, 7], moisture: [5, 9] },
+    mid: { lower: 850, upper: 700, moist: 850, stability: [5, 10], moisture: [5, 12] },
+    high: { lower: 700, upper: 500, moist: 700, stability: [17, 21], moisture: [14, 20] },
+};
+/** Station elevation (m MSL) above which the mid and high variants apply */
+const HAINES_MID_ELEV = 305;    // 1000 ft
+const HAINES_HIGH_ELEV = 914;   // 3000 ft
+
+/** Depth (m AGL) of the layer the Hot-Dry-Windy Index looks at */
+const HDW_DEPTH = 500;
+
+/** Theta excess (K) the surface parcel carries when finding the top of the mixed layer */
+const MIX_THETA_EXCESS = 0.5;
+
+/** Ventilation index category bounds, m²/s */
+const VENT_POOR = 2350;
+const VENT_GOOD = 4700;
+
+/**
+ * @typedef {Object} FireResult
+ * @property {{value: number, variant: 'low'|'mid'|'high', stability: number, moisture: number}|null} haines
+ * @property {number|null} hdw - Hot-Dry-Windy Index (hPa·m/s)
+ * @property {number|null} hdwVpd - max vapor pressure deficit in the lowest 500 m, hPa
+ * @property {number|null} hdwWind - max wind speed in the lowest 500 m, kt
+ * @property {{pressure: number, height: number}|null} mixingHeight - height m AGL
+ * @property {{dir: number, speed: number}|null} transportWind - kt
+ * @property {number|null} ventilation - m²/s
+ * @property {'poor'|'fair'|'good'|null} ventilationCategory
+ * @property {{level: 'none'|'possible'|'likely', lclHeight: number, pw: number}} dryThunder
+ */
+
+function category(value, [one, two]) {
+    if (value <= one) return 1;
+    if (value <= two) return 2;
+    return 3;
+}
+
+/**
+ * Haines Index. The variant follows the station elevation, moving up to the
+ * next one when its lower pressure level is below ground.
+ */
+function hainesIndex(levels) {
+    const elev = levels[0].height;
+    const sfcP = levels[0].pressure;
+    const order = ['low', 'mid', 'high'];
+    let idx = elev >= HAINES_HIGH_ELEV ? 2 : elev >= HAINES_MID_ELEV ? 1 : 0;
+    while (idx < 2 && HAINES[order[idx]].lower > sfcP) idx++;
+
+    const variant = order[idx];
+    const h = HAINES[variant];
+    const tLower = interpAtPressure(levels, h.lower, 'temp');
+    const tUpper = interpAtPressure(levels, h.upper, 'temp');
+    const t = interpAtPressure(levels, h.moist, 'temp');
+    const td = interpAtPressure(levels, h.moist, 'dewpoint');
+    if (tLower == null || tUpper == null || t == null || td == null) return null;
+
+    const stability = category(Math.round(tLower - tUpper), h.stability);
+    const moisture = category(Math.round(t - td), h.moisture);
+    return { value: stability + moisture, variant, stability, moisture };
+}
+
+/**
+ * Hot-Dry-Windy Index (Srock et al. 2018): the largest vapor pressure deficit
+ * times the largest wind speed (m/s) found in the lowest 500 m.
+ */
+function hotDryWindy(levels) {
+    const sfcH = levels[0].height;
+    let vpd = null, wind = null;
+    for (const l of levels) {
+        if (l.height - sfcH > HDW_DEPTH) break;
+        if (l.temp != null && l.dewpoint != null) vpd = Math.max(vpd ?? 0, es(l.temp) - es(l.dewpoint));
+        if (l.windSpd != null) wind = Math.max(wind ?? 0, l.windSpd);
+    }
+    if (vpd == null || wind == null) return { hdw: null, hdwVpd: vpd, hdwWind: wind };
+    return {
+        hdw: Math.round(vpd * ktsToMs(wind)),
+        hdwVpd: Math.round(vpd * 10) / 10,
+        hdwWind: Math.round(wind),
+    };
+}
+
+/**
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels
+ * @param {Object} base - values from the main analysis
+ * @param {number} base.lclHeight - surface-based LCL, m AGL
+ * @param {number} base.pw - inches
+ * @param {number} base.mucape - J/kg
+ * @returns {FireResult}
+ */
+export function fireParameters(levels, base) {
+    const sfc = levels.find(l => l.temp != null);
+    const sfcP = levels[0].pressure;
+
+    // Mixing height: where a dry parcel from the surface meets environmental theta
+    let mixingHeight = null;
+    if (sfc) {
+        const parcelTheta = potentialTemp(sfc.temp, sfc.pressure) + MIX_THETA_EXCESS;
+        mixingHeight = firstCrossing(levels, l => (l.temp != null ? parcelTheta - potentialTemp(l.temp, l.pressure) : null), 0);
+    }
+
+    let transportWind = null, ventilation = null, ventilationCategory = null;
+    if (mixingHeight) {
+        const hasWind = levels.some(l => l.windSpd != null && l.pressure <= sfcP && l.pressure >= mixingHeight.pressure);
+        if (hasWind) {
+            const { u, v } = meanWind(levels, sfcP, mixingHeight.pressure);
+            const speed = Math.hypot(u, v);
+            transportWind = {
+                dir: Math.round((Math.atan2(-u, -v) * 180 / Math.PI + 360) % 360),
+                speed: Math.round(msToKts(speed)),
+            };
+            ventilation = Math.round(mixingHeight.height * speed);
+            ventilationCategory = ventilation < VENT_POOR ? 'poor' : ventilation < VENT_GOOD ? 'fair' : 'good';
+        }
+    }
+
+    // High bases over a dry column: rain evaporates before reaching the ground
+    let dryLevel = 'none';
+    if (base.mucape >= 100 && base.lclHeight >= 3000 && base.pw <= 0.6) dryLevel = 'likely';
+    else if (base.mucape > 0 && base.lclHeight >= 2000 && base.pw <= 0.9) dryLevel = 'possible';
+
+    return {
+        haines: hainesIndex(levels),
+        ...hotDryWindy(levels),
+        mixingHeight,
+        transportWind,
+        ventilation,
+        ventilationCategory,
+        dryThunder: { level: dryLevel, lclHeight: Math.round(base.lclHeight), pw: Math.round(base.pw * 100) / 100 },
+    };
+}
@@ -0,0 +1,120 @@
+/**
+ * Hail Diagnostics
+ * Freezing and wet-bulb zero heights, the -10 to -30 °C hail growth zone,
+ * the Significant Hail Parameter and a rough expected size category
+ */
+
+import { wetBulb, mixingRatio, interpAtPressure, heightAtPressure, envVirtualTemp, envKelvin, firstCrossing, msToKts } from './thermo.js';
+
+const g = 9.80665;
+
+/** Hail growth zone bounds (°C) */
+const HGZ_WARM = -10;
+const HGZ_COLD = -30;
+
+/**
+ * @typedef {Object} HailResult
+ * @property {{pressure: number, height: number}|null} freezingLevel - height m AGL
+ * @property {{pressure: number, height: number}|null} wetBulbZero - height m AGL
+ * @property {{bottomPressure: number, topPressure: number, bottomHeight: number, topHeight: number, depth: number}|null} hailGrowthZone - heights m AGL
+ * @property {number} hgzCape - MU parcel CAPE within the hail growth zone, J/kg
+ * @property {number} ship - Significant Hail Parameter
+ * @property {{id: 'none'|'small'|'severe'|'large'|'giant', label: string}} hailSize
+ */
+
+/**
+ * Positive buoyant energy of a parcel between two pressures (pBot > pTop).
+ */
+function layerCAPE(levels, parcel, pBot, pTop, virtual) {
+    let cape = 0;
+    const inLayer = parcel.filter(p => p.pressure <= pBot && p.pressure >= pTop);
+    for (let i = 0; i < inLayer.length - 1; i++) {
+        const a = inLayer[i], b = inLayer[i + 1];
+        const envA = virtual ? envVirtualTemp(levels, a.pressure) : envKelvin(levels, a.pressure);
+        const envB = virtual ? envVirtualTemp(levels, b.pressure) : envKelvin(levels, b.pressure);
+        const zA = heightAtPressure(levels, a.pressure);
+        const zB = heightAtPressure(levels, b.pressure);
+        if (envA === null || envB === null || zA === null || zB === null) continue;
+
+        const tA = (virtual ? a.tv : a.temp) + 273.15;
+        const tB = (virtual ? b.tv : b.temp) + 273.15;
+        const energy = g * (((tA - envA) / envA + (tB - envB) / envB) / 2) * (zB - zA);
+        if (energy > 0) cape += energy;
+    }
+    return cape;
+}
+
+/**
+ * Significant Hail Parameter (SPC, version 1.1), shear in m/s
+ */
+function calcSHIP(mucape, muMixingRatio, lr700_500, t500, shear06, freezingLevel) {
+    if (mucape <= 0 || t500 == null) return 0;
+
+    const w = Math.min(Math.max(muMixingRatio, 11), 13.6);
+    const t = Math.min(t500, -5.5);
+    const shear = Math.min(Math.max(shear06, 7), 27);
+
+    let ship = (mucape * w * lr700_500 * -t * shear) / 42000000;
+    if (mucape < 1300) ship *= mucape / 1300;
+    if (lr700_500 < 5.8) ship *= lr700_500 / 5.8;
+    if (freezingLevel != null && freezingLevel < 2400) ship *= freezingLevel / 2400;
+    return Math.max(0, ship);
+}
+
+/**
+ * Rough expected maximum hail size from SHIP, MUCAPE, growth-zone CAPE and shear.
+ */
+function hailSizeCategory(ship, mucape, hgzCape, shear06kt) {
+    if (mucape < 100) return { id: 'none', label: 'None expected' };
+    if (ship >= 2 || (ship >= 1.5 && hgzCape >= 1000)) return { id: 'giant', label: '2 in or larger' };
+    if (ship >= 1) return { id: 'large', label: '1-2 in' };
+    if (ship >= 0.5 || (mucape >= 1500 && shear06kt >= 30)) return { id: 'severe', label: 'Up to 1 in' };
+    return { id: 'small', label: 'Under 1 in' };
+}
+
+/**
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels
+ * @param {Object} base - values from the main analysis
+ * @param {boolean} base.virtual
+ * @param {{pressure: number, temp: number, tv: number}[]} base.muParcel
+ * @param {{temp: number, dewpoint: number, pressure: number}} base.muLevel
+ * @param {number} base.mucape
+ * @param {number} base.lr700_500 - °C/km
+ * @param {number} base.shear06 - m/s
+ * @returns {HailResult}
+ */
+export function hailParameters(levels, base) {
+    const freezingLevel = firstCrossing(levels, l => l.temp, 0);
+    const wetBulbZero = firstCrossing(
+        levels,
+        l => (l.temp != null && l.dewpoint != null ? wetBulb(l.temp, l.dewpoint, l.pressure) : null),
+        0,
+    );
+
+    let hailGrowthZone = null, hgzCape = 0;
+    const warm = firstCrossing(levels, l => l.temp, HGZ_WARM);
+    const cold = firstCrossing(levels, l => l.temp, HGZ_COLD);
+    if (warm && cold) {
+        hailGrowthZone = {
+            bottomPressure: warm.pressure,
+            topPressure: cold.pressure,
+            bottomHeight: warm.height,
+            topHeight: cold.height,
+            depth: cold.height - warm.height,
+        };
+        hgzCape = layerCAPE(levels, base.muParcel, warm.pressure, cold.pressure, base.virtual);
+    }
+
+    const t500 = interpAtPressure(levels, 500, 'temp');
+    const muW = mixingRatio(base.muLevel.dewpoint, base.muLevel.pressure);
+    const ship = calcSHIP(base.mucape, muW, base.lr700_500, t500, base.shear06, freezingLevel?.height);
+
+    return {
+        freezingLevel,
+        wetBulbZero,
+        hailGrowthZone,
+        hgzCape: Math.round(hgzCape),
+        ship: Math.round(ship * 10) / 10,
+        hailSize: hailSizeCategory(ship, base.mucape, hgzCape, msToKts(base.shear06)),
+    };
+}
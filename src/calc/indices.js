@@ -0,0 +1,130 @@
+/**
+ * Classic Stability Indices
+ * Lifted Index (SB/ML/MU), Showalter, K-Index, Total/Cross/Vertical Totals,
+ * SWEAT and Boyden. All use dry-bulb temperatures, as originally defined,
+ * so they compare directly with values quoted in older forecasts.
+ */
+
+import { interpAtPressure, parcelTempAt, windComponents, msToKts } from './thermo.js';
+
+/**
+ * @typedef {Object} ClassicIndices
+ * @property {{sb: number|null, ml: number|null, mu: number|null}} li - °C
+ * @property {number|null} showalter - °C
+ * @property {number|null} kIndex
+ * @property {number|null} totalTotals
+ * @property {number|null} crossTotals
+ * @property {number|null} verticalTotals
+ * @property {number|null} sweat
+ * @property {number|null} boyden
+ * @property {Object<string, number[]>} missing - index name → pressure levels (hPa) it needed but couldn't get
+ */
+
+const round1 = v => Math.round(v * 10) / 10;
+
+/**
+ * Wind (kt) at a pressure level, interpolated as u/v components so
+ * directions don't average across north.
+ */
+function windAt(levels, p) {
+    const comps = levels
+        .filter(l => l.windDir != null && l.windSpd != null)
+        .map(l => ({ pressure: l.pressure, ...windComponents(l.windDir, l.windSpd) }));
+    const u = interpAtPressure(comps, p, 'u');
+    const v = interpAtPressure(comps, p, 'v');
+    if (u === null || v === null) return null;
+    return {
+        dir: (Math.atan2(-u, -v) * 180 / Math.PI + 360) % 360,
+        spd: msToKts(Math.hypot(u, v)),
+    };
+}
+
+/**
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels
+ * @param {Object} parcels - starting points, each {temp, dewpoint, pressure}
+ * @param {Object} parcels.sb
+ * @param {Object} parcels.ml
+ * @param {Object} parcels.mu
+ * @returns {ClassicIndices}
+ */
+export function classicIndices(levels, parcels) {
+    const missing = {};
+    const cache = {};
+
+    /**
+     * Values an index needs, keyed `field@pressure`. Returns null (and
+     * records the gaps under `name`) unless all of them are available.
+     */
+    const need = (name, fields) => {
+        const values = {};
+        const gaps = new Set();
+        for (const [field, p] of fields) {
+            const key = `${field}@${p}`;
+            if (!(key in cache)) {
+                cache[key] = field === 'wind' ? windAt(levels, p) : interpAtPressure(levels, p, field);
+            }
+            if (cache[key] === null) gaps.add(p);
+            values[key] = cache[key];
+        }
+        if (gaps.size > 0) {
+            missing[name] = [...gaps].sort((a, b) => b - a);
+            return null;
+        }
+        return values;
+    };
+
+    const lifted = (name, parcel) => {
+        const v = need(name, [['temp', 500]]);
+        if (!v || !parcel || parcel.temp == null || parcel.dewpoint == null || parcel.pressure < 500) return null;
+        return round1(v['temp@500'] - parcelTempAt(parcel.temp, parcel.dewpoint, parcel.pressure, 500));
+    };
+
+    const li = {
+        sb: lifted('liSB', parcels.sb),
+        ml: lifted('liML', parcels.ml),
+        mu: lifted('liMU', parcels.mu),
+    };
+
+    // Showalter: the 850 hPa parcel lifted to 500 hPa
+    let showalter = null;
+    const sh = need('showalter', [['temp', 850], ['dewpoint', 850], ['temp', 500]]);
+    if (sh) {
+        showalter = round1(sh['temp@500'] - parcelTempAt(sh['temp@850'], sh['dewpoint@850'], 850, 500));
+    }
+
+    let kIndex = null;
+    const k = need('kIndex', [['temp', 850], ['dewpoint', 850], ['temp', 700], ['dewpoint', 700], ['temp', 500]]);
+    if (k) {
+        kIndex = round1((k['temp@850'] - k['temp@500']) + k['dewpoint@850'] - (k['temp@700'] - k['dewpoint@700']));
+    }
+
+    let verticalTotals = null, crossTotals = null, totalTotals = null;
+    const vt = need('verticalTotals', [['temp', 850], ['temp', 500]]);
+    if (vt) verticalTotals = round1(vt['temp@850'] - vt['temp@500']);
+    const ct = need('crossTotals', [['dewpoint', 850], ['temp', 500]]);
+    if (ct) crossTotals = round1(ct['dewpoint@850'] - ct['temp@500']);
+    if (vt && ct) totalTotals = round1(verticalTotals + crossTotals);
+    else missing.totalTotals = [...new Set([...(missing.verticalTotals || []), ...(missing.crossTotals || [])])].sort((a, b) => b - a);
+
+    // SWEAT (Miller 1972)
+    let sweat = null;
+    const sw = need('sweat', [['dewpoint', 850], ['temp', 850], ['temp', 500], ['wind', 850], ['wind', 500]]);
+    if (sw) {
+        const td850 = sw['dewpoint@850'];
+        const tt = (sw['temp@850'] - sw['temp@500']) + (td850 - sw['temp@500']);
+        const w850 = sw['wind@850'], w500 = sw['wind@500'];
+        const veer = w500.dir - w850.dir;
+        const shearTerm = w850.dir >= 130 && w850.dir <= 250 && w500.dir >= 210 && w500.dir <= 310 &&
+            veer > 0 && w850.spd >= 15 && w500.spd >= 15
+            ? 125 * (Math.sin(veer * Math.PI / 180) + 0.2)
+            : 0;
+        sweat = Math.round(12 * Math.max(0, td850) + 20 * Math.max(0, tt - 49) + 2 * w850.spd + w500.spd + shearTerm);
+    }
+
+    // Boyden (1963): 1000-700 hPa thickness in decameters less the 700 hPa temperature
+    let boyden = null;
+    const by = need('boyden', [['height', 1000], ['height', 700], ['temp', 700]]);
+    if (by) boyden = round1((by['height@700'] - by['height@1000']) / 10 - by['temp@700'] - 200);
+
+    return { li, showalter, kIndex, totalTotals, crossTotals, verticalTotals, sweat, boyden, missing };
+}
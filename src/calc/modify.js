@@ -0,0 +1,109 @@
+/**
+ * Surface Modification
+ * "What-if" profiles: a forecast surface temperature, dewpoint and wind mixed
+ * up through the boundary layer of an observed sounding
+ */
+
+import { mixingRatio, virtualTemp, dewpointFromMixingRatio } from './thermo.js';
+
+const Rd = 287.04;
+const Cp = 1005.7;
+const g = 9.80665;
+
+/**
+ * @typedef {Object} SurfaceModification
+ * @property {number} temp - forecast surface temperature, °C
+ * @property {number} dewpoint - forecast surface dewpoint, °C
+ * @property {number|null} [windDir] - degrees
+ * @property {number|null} [windSpd] - kt
+ */
+
+/**
+ * Replace the surface values and mix the boundary layer: temperatures follow
+ * the dry adiabat from the new surface temperature up to where it meets the
+ * observed profile, or to the new LCL if the mixed air saturates first, and
+ * the mixing ratio is constant (well mixed) through the same depth. A level is
+ * inserted where the adiabat meets the profile.
+ *
+ * Heights scale each observed layer thickness by the change in its mean
+ * virtual temperature, so soundings whose heights are not exactly hydrostatic
+ * keep their shape; everything above the mixed layer shifts with its top.
+ *
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels - surface first
+ * @param {SurfaceModification} mod
+ * @returns {{levels: import('../parser/sounding.js').SoundingLevel[], mixedLayerTop: number}}
+ *   the modified copy; mixedLayerTop is the pressure (hPa) at the top of the mixed layer
+ */
+export function modifySurface(levels, mod) {
+    const p0 = levels[0].pressure;
+    const w = mixingRatio(Math.min(mod.dewpoint, mod.temp), p0);
+    const adiabat = (p) => (mod.temp + 273.15) * Math.pow(p / p0, Rd / Cp) - 273.15;
+    const mixedDewpoint = (p) => dewpointFromMixingRatio(w, p);
+    const tv = (l) => virtualTemp(l.temp, Math.min(l.dewpoint ?? l.temp, l.temp), l.pressure);
+
+    // Mixed levels paired with the observed level each one replaces
+    const mixed = [{ level: { ...levels[0], temp: mod.temp, dewpoint: Math.min(mod.temp, mod.dewpoint) }, observed: levels[0] }];
+    let i = 1;
+    for (; i < levels.length; i++) {
+        const l = levels[i];
+        if (l.temp == null) continue;
+        const tAd = adiabat(l.pressure);
+        if (tAd <= mixedDewpoint(l.pressure)) break;
+        if (l.temp < tAd) {
+            mixed.push({ level: { ...l, temp: tAd, dewpoint: mixedDewpoint(l.pressure) }, observed: l });
+            continue;
+        }
+
+        // Insert the point where the adiabat meets the profile
+        const below = mixed[mixed.length - 1].observed;
+        const dBelow = below.temp - adiabat(below.pressure);
+        if (dBelow < 0 && below.height != null && l.height != null) {
+            const frac = -dBelow / (l.temp - tAd - dBelow);
+            const p = Math.exp(Math.log(below.pressure) + frac * (Math.log(l.pressure) - Math.log(below.pressure)));
+            if (p < below.pressure - 0.5 && p > l.pressure + 0.5) {
+                const lerp = (a, b) => a + frac * (b - a);
+                const observed = {
+                    pressure: p,
+                    height: lerp(below.height, l.height),
+                    temp: lerp(below.temp, l.temp),
+                    dewpoint: below.dewpoint != null && l.dewpoint != null ? lerp(below.dewpoint, l.dewpoint) : null,
+                };
+                const t = adiabat(p);
+                mixed.push({
+                    level: { pressure: Math.round(p * 10) / 10, height: null, temp: t, dewpoint: Math.min(t, mixedDewpoint(p)), windDir: null, windSpd: null },
+                    observed,
+                });
+            }
+        }
+        break;
+    }
+
+    // Rescale thicknesses through the mixed layer
+    for (let k = 1; k < mixed.length; k++) {
+        const a = mixed[k - 1], b = mixed[k];
+        if (a.observed.height == null || b.observed.height == null) continue;
+        const ratio = (tv(a.level) + tv(b.level)) / (tv(a.observed) + tv(b.observed));
+        b.level.height = Math.round(a.level.height + (b.observed.height - a.observed.height) * ratio);
+    }
+    const top = mixed[mixed.length - 1];
+    const shift = top.level.height != null && top.observed.height != null ? top.level.height - top.observed.height : 0;
+
+    const out = mixed.map(m => m.level);
+    for (const l of levels) {
+        if (l.pressure >= top.observed.pressure) continue;
+        out.push({ ...l, height: l.height == null ? null : Math.round(l.height + shift) });
+    }
+    // Levels without temperature inside the mixed layer keep their place
+    for (const l of levels) {
+        if (l.temp == null && l.pressure > top.observed.pressure) out.push({ ...l });
+    }
+    out.sort((a, b) => b.pressure - a.pressure);
+
+    // Surface wind
+    if (mod.windDir != null && mod.windSpd != null) {
+        out[0].windDir = mod.windDir;
+        out[0].windSpd = mod.windSpd;
+    }
+
+    return { levels: out, mixedLayerTop: Math.round(top.level.pressure) };
+}
@@ -0,0 +1,194 @@
+/**
+ * Storm Motion
+ * Mean wind, Corfidi MCS propagation vectors, user-defined storm motion,
+ * storm-relative winds, the critical angle and streamwise vorticity, alongside
+ * the Bunkers supercell motions in thermo.js
+ */
+
+import { meanWind, pressureAtHeight, interpAtPressure, windComponents, msToKts } from './thermo.js';
+
+/** Top of the storm-relative wind profile, m AGL */
+const PROFILE_TOP = 12000;
+/** Vertical step (m) for the streamwise vorticity integration */
+const VORTICITY_STEP = 100;
+
+/**
+ * @typedef {Object} Motion
+ * @property {number} u - m/s
+ * @property {number} v - m/s
+ * @property {number} dir - degrees the motion comes from
+ * @property {number} spd - kt
+ */
+
+/**
+ * Describe a u/v vector (m/s) as a Motion.
+ * @returns {Motion}
+ */
+export function toMotion(u, v) {
+    return {
+        u,
+        v,
+        dir: Math.round((Math.atan2(-u, -v) * 180 / Math.PI + 360) % 360),
+        spd: Math.round(msToKts(Math.hypot(u, v))),
+    };
+}
+
+/**
+ * Motion from a direction (degrees, "from") and speed (kt), as a user enters it.
+ * @returns {Motion}
+ */
+export function motionFromDirSpd(dir, spd) {
+    return { ...windComponents(dir, spd), dir: Math.round(dir), spd: Math.round(spd) };
+}
+
+/**
+ * Pressure-weighted mean wind between two heights AGL.
+ * @returns {Motion}
+ */
+export function layerMeanWind(levels, hBot, hTop) {
+    const pBot = hBot === 0 ? levels[0].pressure : pressureAtHeight(levels, hBot);
+    const { u, v } = meanWind(levels, pBot, pressureAtHeight(levels, hTop));
+    return toMotion(u, v);
+}
+
+/**
+ * Corfidi (2003) MCS motion vectors. The upwind (back-building) vector is
+ * the 850-300 hPa mean cloud-layer wind minus the low-level jet, taken as the
+ * 0-1.5 km mean wind; the downwind (forward-propagating) vector adds the
+ * cloud-layer wind to it.
+ *
+ * @returns {{upwind: Motion, downwind: Motion}|null} null when the sounding lacks winds through 300 hPa
+ */
+export function corfidiVectors(levels) {
+    const windTop = levels.filter(l => l.windSpd != null).at(-1);
+    if (!windTop || windTop.pressure > 300) return null;
+
+    const cloud = meanWind(levels, 850, 300);
+    const llj = meanWind(levels, levels[0].pressure, pressureAtHeight(levels, 1500));
+
+    const up = { u: cloud.u - llj.u, v: cloud.v - llj.v };
+    return {
+        upwind: toMotion(up.u, up.v),
+        downwind: toMotion(cloud.u + up.u, cloud.v + up.v),
+    };
+}
+
+/**
+ * Mean storm-relative wind speed (kt) between two heights AGL, averaging the
+ * storm-relative vectors at 250 m steps.
+ *
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels
+ * @param {number} hBot - m AGL
+ * @param {number} hTop - m AGL
+ * @param {{u: number, v: number}} storm - m/s
+ * @returns {number|null}
+ */
+export function stormRelativeWind(levels, hBot, hTop, storm) {
+    const comps = levelWinds(levels);
+    const topAGL = levels[levels.length - 1].height - levels[0].height;
+    let uSum = 0, vSum = 0, n = 0;
+    for (let h = hBot; h <= Math.min(hTop, topAGL); h += 250) {
+        const w = windAtHeight(levels, comps, h);
+        if (!w) continue;
+        uSum += w.u - storm.u;
+        vSum += w.v - storm.v;
+        n++;
+    }
+    if (n === 0) return null;
+    return Math.round(msToKts(Math.hypot(uSum / n, vSum / n)));
+}
+
+/**
+ * @typedef {Object} StormRelativeResult
+ * @property {number|null} criticalAngle - degrees between the 0-500 m shear and the surface storm-relative inflow
+ * @property {{height: number, pressure: number, speed: number}[]} srWindProfile - m AGL, kt; surface first, to 12 km
+ * @property {number|null} srWind46 - mean 4-6 km storm-relative wind, kt
+ * @property {number|null} srWind911 - mean 9-11 km (anvil-level) storm-relative wind, kt
+ * @property {number|null} streamwiseFraction - share of 0-1 km horizontal vorticity that is streamwise, %
+ * @property {number|null} streamwiseVorticity - mean 0-1 km streamwise vorticity, s⁻¹
+ */
+
+/**
+ * Storm-relative diagnostics for a given storm motion.
+ *
+ * The critical angle (Esterheld and Giuliano 2008) is measured at the surface
+ * between the 0-500 m shear vector and the storm-relative inflow; near 90° the
+ * inflow vorticity is almost purely streamwise. The streamwise fraction takes
+ * horizontal vorticity ω = k × ∂V/∂z at 100 m steps through the lowest km and
+ * projects it onto the storm-relative wind, so its integral matches 0-1 km SRH.
+ *
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels
+ * @param {{u: number, v: number}} storm - m/s
+ * @returns {StormRelativeResult}
+ */
+export function stormRelativeParameters(levels, storm) {
+    const comps = levelWinds(levels);
+    const sfcH = levels[0].height;
+
+    // Critical angle
+    let criticalAngle = null;
+    const w0 = windAtHeight(levels, comps, 0);
+    const w500 = windAtHeight(levels, comps, 500);
+    if (w0 && w500) {
+        const shear = { u: w500.u - w0.u, v: w500.v - w0.v };
+        const inflow = { u: storm.u - w0.u, v: storm.v - w0.v };
+        const mag = Math.hypot(shear.u, shear.v) * Math.hypot(inflow.u, inflow.v);
+        if (mag > 0) {
+            const cos = (shear.u * inflow.u + shear.v * inflow.v) / mag;
+            criticalAngle = Math.round(Math.acos(Math.min(1, Math.max(-1, cos))) * 180 / Math.PI);
+        }
+    }
+
+    // Storm-relative wind at each observed level
+    const srWindProfile = comps
+        .filter(c => c.height != null && c.height - sfcH <= PROFILE_TOP)
+        .map(c => ({
+            height: Math.round(c.height - sfcH),
+            pressure: c.pressure,
+            speed: Math.round(msToKts(Math.hypot(c.u - storm.u, c.v - storm.v))),
+        }));
+
+    // Streamwise vorticity in the lowest km
+    let streamwise = 0, total = 0, n = 0;
+    for (let h = 0; h < 1000; h += VORTICITY_STEP) {
+        const a = windAtHeight(levels, comps, h);
+        const b = windAtHeight(levels, comps, h + VORTICITY_STEP);
+        if (!a || !b) continue;
+        const wx = -(b.v - a.v) / VORTICITY_STEP;
+        const wy = (b.u - a.u) / VORTICITY_STEP;
+        const sr = { u: (a.u + b.u) / 2 - storm.u, v: (a.v + b.v) / 2 - storm.v };
+        const srMag = Math.hypot(sr.u, sr.v);
+        if (srMag === 0) continue;
+        streamwise += (wx * sr.u + wy * sr.v) / srMag;
+        total += Math.hypot(wx, wy);
+        n++;
+    }
+
+    return {
+        criticalAngle,
+        srWindProfile,
+        srWind46: stormRelativeWind(levels, 4000, 6000, storm),
+        srWind911: stormRelativeWind(levels, 9000, 11000, storm),
+        streamwiseFraction: total > 0 ? Math.round(streamwise / total * 100) : null,
+        streamwiseVorticity: n > 0 ? Math.round(streamwise / n * 10000) / 10000 : null,
+    };
+}
+
+/**
+ * u/v components (m/s) of the levels that carry a wind observation.
+ */
+function levelWinds(levels) {
+    return levels
+        .filter(l => l.windDir != null && l.windSpd != null)
+        .map(l => ({ pressure: l.pressure, height: l.height, ...windComponents(l.windDir, l.windSpd) }));
+}
+
+/**
+ * Interpolated wind (m/s) at a height AGL, or null outside the wind data.
+ */
+function windAtHeight(levels, comps, h) {
+    const p = h === 0 ? levels[0].pressure : pressureAtHeight(levels, h);
+    const u = interpAtPressure(comps, p, 'u');
+    const v = interpAtPressure(comps, p, 'v');
+    return u === null || v === null ? null : { u, v };
+}
@@ -3,6 +3,18 @@
  * Standard meteorological formulas for sounding analysis
  */
 
+import { effectiveParameters } from './effective.js';
+import { downdraftParameters } from './downdraft.js';
+import { hailParameters } from './hail.js';
+import { winterParameters } from './winter.js';
+import { fireParameters } from './fire.js';
+import { classicIndices } from './indices.js';
+import { ecapeParameters } from './ecape.js';
+import { convectiveParameters } from './convective.js';
+import { profileFeatures } from './features.js';
+import { boundaryLayerParameters } from './boundary.js';
+import { toMotion, motionFromDirSpd, layerMeanWind, corfidiVectors, stormRelativeWind, stormRelativeParameters } from './motion.js';
+
 const Rd = 287.04;    // Gas constant for dry air (J/kg/K)
 const Rv = 461.5;     // Gas constant for water vapor
 const Cp = 1005.7;    // Specific heat at const pressure
@@ -10,32 +22,54 @@ const Lv = 2.501e6;   // Latent heat of vaporization
 const g = 9.80665;    // Gravity
 const eps = Rd / Rv;  // 0.622
 
+/** Largest pressure step (hPa) when integrating a lifted parcel's moist adiabat */
+const MOIST_STEP = 2;
+
 /** Convert Celsius to Kelvin */
 function CtoK(c) { return c + 273.15; }
 /** Convert Kelvin to Celsius */
 function KtoC(k) { return k - 273.15; }
 /** Convert knots to m/s */
-function ktsToMs(kts) { return kts * 0.51444; }
+export function ktsToMs(kts) { return kts * 0.51444; }
+/** Convert m/s to knots */
+export function msToKts(ms) { return ms * 1.94384; }
+
+/**
+ * Potential temperature (K) from temperature (°C) and pressure (hPa)
+ */
+export function potentialTemp(tc, p) {
+    return CtoK(tc) * Math.pow(1000 / p, 0.2857);
+}
 
 /**
  * Saturation vapor pressure (Bolton 1980) in hPa
  */
-function es(tc) {
+export function es(tc) {
     return 6.112 * Math.exp((17.67 * tc) / (tc + 243.5));
 }
 
 /**
  * Mixing ratio in g/kg given temperature (°C) and pressure (hPa)
  */
-function mixingRatio(tc, p) {
+export function mixingRatio(tc, p) {
     const e = es(tc);
     return (1000 * eps * e) / (p - e);
 }
 
+/**
+ * Dewpoint (°C) of air with mixing ratio w (g/kg) at pressure p (hPa),
+ * the inverse of mixingRatio
+ */
+export function dewpointFromMixingRatio(w, p) {
+    const e = (w / 1000) * p / (eps + w / 1000);
+    const x = Math.log(e / 6.112);
+    return (243.5 * x) / (17.67 - x);
+}
+
 /**
  * Virtual temperature in K
  */
-function virtualTemp(tc, tdc, p) {
+export function virtualTemp(tc, tdc, p) {
     const w = mixingRatio(tdc, p) / 1000; // kg/kg
     return CtoK(tc) * (1 + 0.61 * w);
 }
@@ -44,7 +78,7 @@ function virtualTemp(tc, tdc, p) {
  * Theta-e (equivalent potential temperature) in K
  * Simplified Bolton formula
  */
-function thetaE(tc, tdc, p) {
+export function thetaE(tc, tdc, p) {
     const tk = CtoK(tc);
     const w = mixingRatio(tdc, p) / 1000;
     const theta = tk * Math.pow(1000 / p, 0.2854 * (1 - 0.28 * w));
@@ -69,10 +103,18 @@ function lclPressure(tc, tdc, p) {
     return p * Math.pow(tlcl / tk, 1 / 0.2854);
 }
 
+/**
+ * Wet-bulb temperature (°C): lift to the LCL, then back down the moist adiabat
+ */
+export function wetBulb(tc, tdc, p) {
+    const pLCL = lclPressure(tc, tdc, p);
+    return moistAdiabat(KtoC(lclTemp(tc, tdc)), pLCL, p);
+}
+
 /**
  * Dry adiabatic lapse rate temperature at pressure p2, starting at T (°C) and p1
  */
-function dryAdiabat(tc, p1, p2) {
+export function dryAdiabat(tc, p1, p2) {
     const tk = CtoK(tc);
     return KtoC(tk * Math.pow(p2 / p1, Rd / Cp));
 }
@@ -81,7 +123,7 @@ function dryAdiabat(tc, p1, p2) {
  * Moist adiabatic temperature at pressure p given starting temp (°C) and pressure
  * Uses iterative step method
  */
-function moistAdiabat(tc, pStart, pEnd, steps = 200) {
+export function moistAdiabat(tc, pStart, pEnd, steps = 200) {
     let t = CtoK(tc);
     let p = pStart;
     const dp = (pEnd - pStart) / steps;
@@ -98,43 +140,103 @@ function moistAdiabat(tc, pStart, pEnd, steps = 200) {
 
 /**
  * Lift a parcel from surface, following dry adiabat to LCL then moist adiabat above.
- * Returns array of {pressure, temp} for the parcel path.
+ * Returns array of {pressure, temp, tv} for the parcel path, where `tv` is the
+ * parcel's virtual temperature (°C): mixing ratio conserved below the LCL,
+ * saturated above it.
  */
-function liftParcel(tSfc, tdSfc, pSfc, levels) {
+export function liftParcel(tSfc, tdSfc, pSfc, levels) {
     const pLCL = lclPressure(tSfc, tdSfc, pSfc);
     const tLCL = KtoC(lclTemp(tSfc, tdSfc));
+    const w0 = mixingRatio(tdSfc, pSfc) / 1000;
 
     const parcel = [];
+    // Last point on the moist adiabat, so each level continues from the one below
+    let moist = { t: tLCL, p: pLCL };
 
     for (const lev of levels) {
         if (lev.pressure > pSfc) continue;
 
-        let parcelT;
+        let parcelT, parcelTv;
         if (lev.pressure >= pLCL) {
             // Below LCL: dry adiabat
             parcelT = dryAdiabat(tSfc, pSfc, lev.pressure);
+            parcelTv = KtoC(CtoK(parcelT) * (1 + 0.61 * w0));
         } else {
             // Above LCL: moist adiabat
-            parcelT = moistAdiabat(tLCL, pLCL, lev.pressure);
+            const steps = Math.max(1, Math.ceil((moist.p - lev.pressure) / MOIST_STEP));
+            parcelT = moistAdiabat(moist.t, moist.p, lev.pressure, steps);
+            moist = { t: parcelT, p: lev.pressure };
+            parcelTv = KtoC(virtualTemp(parcelT, parcelT, lev.pressure));
         }
 
-        parcel.push({ pressure: lev.pressure, temp: parcelT });
+        parcel.push({ pressure: lev.pressure, temp: parcelT, tv: parcelTv });
     }
 
     return { parcel, pLCL, tLCL };
 }
 
 /**
- * Interpolate temperature or wind at a given pressure level
+ * Temperature (°C) of a parcel lifted from (tc, tdc, p) to pTarget: dry
+ * adiabat to the LCL, moist adiabat above it.
  */
-function interpAtPressure(levels, pTarget, field) {
-    for (let i = 0; i < levels.length - 1; i++) {
-        const a = levels[i], b = levels[i + 1];
-        if ((a.pressure >= pTarget && b.pressure <= pTarget) ||
-            (a.pressure <= pTarget && b.pressure >= pTarget)) {
+export function parcelTempAt(tc, tdc, p, pTarget) {
+    const pLCL = lclPressure(tc, tdc, p);
+    if (pTarget >= pLCL) return dryAdiabat(tc, p, pTarget);
+    return moistAdiabat(KtoC(lclTemp(tc, tdc)), pLCL, pTarget);
+}
+
+/**
+ * Interpolate temperature or wind at a given pressure level.
+ * Levels where `field` is missing (null) are skipped, so interpolation
+ * bridges across them.
+ */
+export function interpAtPressure(levels, pTarget, field) {
+    let a = null;
+    for (const b of levels) {
+        if (b[field] == null) continue;
+        if (a && ((a.pressure >= pTarget && b.pressure <= pTarget) ||
+            (a.pressure <= pTarget && b.pressure >= pTarget))) {
+            if (a.pressure === b.pressure) return a[field];
             const frac = (Math.log(pTarget) - Math.log(a.pressure)) / (Math.log(b.pressure) - Math.log(a.pressure));
             return a[field] + frac * (b[field] - a[field]);
         }
+        a = b;
+    }
+    return null;
+}
+
+/**
+ * Environmental virtual temperature (K) at a pressure level. Where the
+ * dewpoint is missing the dry-bulb temperature is used.
+ */
+export function envVirtualTemp(levels, p) {
+    const t = interpAtPressure(levels, p, 'temp');
+    if (t === null) return null;
+    const td = interpAtPressure(levels, p, 'dewpoint');
+    return td === null ? CtoK(t) : virtualTemp(t, Math.min(td, t), p);
+}
+
+/**
+ * Lowest point, going up from the surface, where `value(level)` falls to `target`.
+ * Returns the surface itself when it is already at or below the target.
+ * @returns {{pressure: number, height: number}|null} height in m AGL
+ */
+export function firstCrossing(levels, value, target) {
+    const sfcH = levels[0].height;
+    let prev = null;
+    for (const l of levels) {
+        const v = value(l);
+        if (v == null || l.height == null) continue;
+        if (v <= target) {
+            if (!prev) return { pressure: l.pressure, height: 0 };
+            const frac = (prev.v - target) / (prev.v - v);
+            const lnp = Math.log(prev.l.pressure) + frac * (Math.log(l.pressure) - Math.log(prev.l.pressure));
+            return {
+                pressure: Math.round(Math.exp(lnp)),
+                height: Math.round(prev.l.height + frac * (l.height - prev.l.height) - sfcH),
+            };
+        }
+        prev = { l, v };
     }
     return null;
 }
@@ -142,14 +244,14 @@ function interpAtPressure(levels, pTarget, field) {
 /**
  * Interpolate height at a given pressure level
  */
-function heightAtPressure(levels, pTarget) {
+export function heightAtPressure(levels, pTarget) {
     return interpAtPressure(levels, pTarget, 'height');
 }
 
 /**
  * Find the pressure at a given height AGL
  */
-function pressureAtHeight(levels, hTarget) {
+export function pressureAtHeight(levels, hTarget) {
     const sfcH = levels[0].height;
     const target = sfcH + hTarget;
 
@@ -165,11 +267,37 @@ function pressureAtHeight(levels, hTarget) {
 }
 
 /**
- * Calculate CAPE and CIN for a given parcel path
+ * Environmental temperature (K, virtual or dry-bulb) and height (m MSL) at
+ * every level's pressure, interpolated once so that CAPE/CIN for many parcels
+ * can look them up instead of interpolating again.
+ * @returns {Map<number, {t: number|null, z: number|null}>} keyed by pressure
  */
-function calcCAPE_CIN(levels, parcel) {
+export function environmentAtLevels(levels, virtual = true) {
+    const env = new Map();
+    for (const l of levels) {
+        if (env.has(l.pressure)) continue;
+        env.set(l.pressure, {
+            t: virtual ? envVirtualTemp(levels, l.pressure) : envKelvin(levels, l.pressure),
+            z: heightAtPressure(levels, l.pressure),
+        });
+    }
+    return env;
+}
+
+/**
+ * Calculate CAPE and CIN for a given parcel path.
+ * With `virtual` (the default) buoyancy compares parcel and environment
+ * virtual temperatures; without it, dry-bulb temperatures (the legacy method).
+ * `env`, from environmentAtLevels with the same `virtual`, skips the
+ * interpolation at parcel points that fall on sounding levels.
+ */
+export function calcCAPE_CIN(levels, parcel, virtual = true, env = null) {
     let cape = 0, cin = 0;
     let lfc = null, el = null;
+    const envAt = (p) => env?.get(p) ?? {
+        t: virtual ? envVirtualTemp(levels, p) : envKelvin(levels, p),
+        z: heightAtPressure(levels, p),
+    };
 
     for (let i = 0; i < parcel.length - 1; i++) {
         const p1 = parcel[i].pressure;
@@ -178,22 +306,21 @@ function calcCAPE_CIN(levels, parcel) {
         // Stop integration above 100 hPa to avoid stratospheric contamination
         if (p2 < 100) break;
 
-        const parcelT1 = CtoK(parcel[i].temp);
-        const parcelT2 = CtoK(parcel[i + 1].temp);
+        const parcelT1 = CtoK(virtual ? parcel[i].tv : parcel[i].temp);
+        const parcelT2 = CtoK(virtual ? parcel[i + 1].tv : parcel[i + 1].temp);
 
-        const envT1 = interpAtPressure(levels, p1, 'temp');
-        const envT2 = interpAtPressure(levels, p2, 'temp');
-        if (envT1 === null || envT2 === null) continue;
-
-        const envTv1 = CtoK(envT1);
-        const envTv2 = CtoK(envT2);
+        const e1 = envAt(p1);
+        const e2 = envAt(p2);
+        const envTv1 = e1.t;
+        const envTv2 = e2.t;
+        if (envTv1 === null || envTv2 === null) continue;
 
         const buoy1 = (parcelT1 - envTv1) / envTv1;
         const buoy2 = (parcelT2 - envTv2) / envTv2;
         const avgBuoy = (buoy1 + buoy2) / 2;
 
-        const z1 = heightAtPressure(levels, p1);
-        const z2 = heightAtPressure(levels, p2);
+        const z1 = e1.z;
+        const z2 = e2.z;
         if (z1 === null || z2 === null) continue;
         const dz = z2 - z1;
 
@@ -217,37 +344,43 @@ function calcCAPE_CIN(levels, parcel) {
     return { cape: Math.max(0, cape), cin: Math.min(0, cin), lfc, el };
 }
 
+/** Environmental dry-bulb temperature (K) at a pressure level. */
+export function envKelvin(levels, p) {
+    const t = interpAtPressure(levels, p, 'temp');
+    return t === null ? null : CtoK(t);
+}
+
 /**
- * Mixed-layer average (bottom 100 hPa)
+ * Mixed-layer average (bottom `depth` hPa, 100 by default)
  */
 function mixedLayerAvg(levels, depth = 100) {
     const sfcP = levels[0].pressure;
     const topP = sfcP - depth;
-    let tSum = 0, tdSum = 0, count = 0;
+    let tSum = 0, tdSum = 0, tCount = 0, tdCount = 0;
 
     for (const lev of levels) {
         if (lev.pressure < topP) break;
         if (lev.pressure > sfcP) continue;
-        tSum += lev.temp;
-        tdSum += lev.dewpoint;
-        count++;
+        if (lev.temp != null) { tSum += lev.temp; tCount++; }
+        if (lev.dewpoint != null) { tdSum += lev.dewpoint; tdCount++; }
     }
 
-    if (count === 0) return { temp: levels[0].temp, dewpoint: levels[0].dewpoint };
-    return { temp: tSum / count, dewpoint: tdSum / count };
+    if (tCount === 0 || tdCount === 0) return { temp: levels[0].temp, dewpoint: levels[0].dewpoint };
+    return { temp: tSum / tCount, dewpoint: tdSum / tdCount };
 }
 
 /**
- * Find Most Unstable parcel (max theta-e in lowest 300 hPa)
+ * Find Most Unstable parcel (max theta-e in lowest `depth` hPa, 300 by default)
  */
-function mostUnstableParcel(levels) {
+function mostUnstableParcel(levels, depth = 300) {
     const sfcP = levels[0].pressure;
-    const topP = sfcP - 300;
+    const topP = sfcP - depth;
     let maxThetaE = -Infinity;
     let muLevel = levels[0];
 
     for (const lev of levels) {
         if (lev.pressure < topP) break;
+        if (lev.temp == null || lev.dewpoint == null) continue;
         const te = thetaE(lev.temp, lev.dewpoint, lev.pressure);
         if (te > maxThetaE) {
             maxThetaE = te;
@@ -261,7 +394,7 @@ function mostUnstableParcel(levels) {
 /**
  * Wind components (u, v) in m/s from direction and speed in knots
  */
-function windComponents(dir, spd) {
+export function windComponents(dir, spd) {
     const spdMs = ktsToMs(spd);
     const rad = (dir * Math.PI) / 180;
     return {
@@ -273,11 +406,12 @@ function windComponents(dir, spd) {
 /**
  * Mean wind in a layer (pressure-weighted average of u, v)
  */
-function meanWind(levels, pBot, pTop) {
+export function meanWind(levels, pBot, pTop) {
     let uSum = 0, vSum = 0, wSum = 0;
 
     for (const lev of levels) {
         if (lev.pressure > pBot || lev.pressure < pTop) continue;
+        if (lev.windDir == null || lev.windSpd == null) continue;
         const { u, v } = windComponents(lev.windDir, lev.windSpd);
         const w = lev.pressure; // pressure weight
         uSum += u * w;
@@ -292,7 +426,7 @@ function meanWind(levels, pBot, pTop) {
 /**
  * Bulk wind shear between two height layers (m AGL)
  */
-function bulkShear(levels, hBot, hTop) {
+export function bulkShear(levels, hBot, hTop) {
     const pBot = pressureAtHeight(levels, hBot);
     const pTop = pressureAtHeight(levels, hTop);
 
@@ -345,11 +479,12 @@ function bunkersMotion(levels) {
 /**
  * Storm-Relative Helicity (SRH) in m²/s²
  */
-function calcSRH(levels, hBot, hTop, stormU, stormV) {
+export function calcSRH(levels, hBot, hTop, stormU, stormV) {
     const sfcH = levels[0].height;
     let srh = 0;
 
     const layerLevels = levels.filter(l => {
+        if (l.windDir == null || l.windSpd == null) return false;
         const agl = l.height - sfcH;
         return agl >= hBot && agl <= hTop;
     });
@@ -398,9 +533,10 @@ function lapseRate700_500(levels) {
  * Precipitable water in inches
  */
 function precipitableWater(levels) {
+    const moist = levels.filter(l => l.dewpoint != null);
     let pw = 0;
-    for (let i = 0; i < levels.length - 1; i++) {
-        const a = levels[i], b = levels[i + 1];
+    for (let i = 0; i < moist.length - 1; i++) {
+        const a = moist[i], b = moist[i + 1];
         const w1 = mixingRatio(a.dewpoint, a.pressure) / 1000;
         const w2 = mixingRatio(b.dewpoint, b.pressure) / 1000;
         const dp = (a.pressure - b.pressure) * 100; // Pa
@@ -433,34 +569,82 @@ function calcSCP(mucape, srh03, shear06) {
 }
 
 
+/**
+ * CAPE, CIN, LCL, LFC and EL of a parcel lifted from any level, with its path.
+ * Heights are m AGL.
+ */
+function customParcel(levels, source, virtual) {
+    const sfcH = levels[0].height;
+    const lift = liftParcel(source.temp, source.dewpoint, source.pressure, levels);
+    const result = calcCAPE_CIN(levels, lift.parcel, virtual);
+    const lclHgt = heightAtPressure(levels, lift.pLCL);
+    // Start the plotted path at the source itself when it falls between levels
+    const start = { pressure: source.pressure, temp: source.temp, tv: KtoC(virtualTemp(source.temp, source.dewpoint, source.pressure)) };
+    const path = lift.parcel[0]?.pressure === source.pressure ? lift.parcel : [start, ...lift.parcel];
+
+    return {
+        source,
+        cape: Math.round(result.cape),
+        cin: Math.round(result.cin),
+        lclPressure: Math.round(lift.pLCL),
+        lclHeight: lclHgt != null ? Math.round(lclHgt - sfcH) : null,
+        lfcPressure: result.lfc ? Math.round(result.lfc.pressure) : null,
+        lfcHeight: result.lfc ? Math.round(result.lfc.height - sfcH) : null,
+        elPressure: result.el ? Math.round(result.el.pressure) : null,
+        elHeight: result.el ? Math.round(result.el.height - sfcH) : null,
+        parcel: path,
+    };
+}
+
 /**
  * Full analysis of a sounding
  * @param {SoundingLevel[]} levels
+ * @param {Object} [options]
+ * @param {boolean} [options.virtual=true] - virtual temperature correction in CAPE/CIN/LFC/EL;
+ *   the other method's results are returned in `alternate` for comparison
+ * @param {{dir: number, spd: number}|null} [options.stormMotion] - user storm motion (kt) for SRH and
+ *   storm-relative winds; null uses the Bunkers right mover
+ * @param {number} [options.mlDepth=100] - depth (hPa) averaged for the mixed-layer parcel
+ * @param {number} [options.muDepth=300] - depth (hPa) searched for the most-unstable parcel
+ * @param {{pressure: number, temp: number, dewpoint: number}|null} [options.customParcel] - extra parcel
+ *   lifted from any level, returned in `customParcel`
  * @returns {Object} All computed parameters and parcel data
  */
-export function analyzeSounding(levels) {
+export function analyzeSounding(levels, options = {}) {
     if (!levels || levels.length < 5) {
         return null;
     }
+    const { virtual = true, stormMotion: userMotion = null, mlDepth = 100, muDepth = 300, customParcel: custom = null } = options;
 
-    const sfc = levels[0];
-    const sfcH = sfc.height;
+    // The lowest level may be missing temp/dewpoint; use the first complete one
+    const sfc = levels.find(l => l.temp != null && l.dewpoint != null);
+    if (!sfc) return null;
+    const sfcH = levels[0].height;
 
     // ---- Parcel computations ----
 
+    // Environment at each level, interpolated once for every parcel below
+    const env = environmentAtLevels(levels, virtual);
+    const envAlt = environmentAtLevels(levels, !virtual);
+
     // Surface-based
     const sbLift = liftParcel(sfc.temp, sfc.dewpoint, sfc.pressure, levels);
-    const sbResult = calcCAPE_CIN(levels, sbLift.parcel);
+    const sbResult = calcCAPE_CIN(levels, sbLift.parcel, virtual, env);
 
     // Mixed-layer
-    const ml = mixedLayerAvg(levels);
+    const ml = mixedLayerAvg(levels, mlDepth);
     const mlLift = liftParcel(ml.temp, ml.dewpoint, sfc.pressure, levels);
-    const mlResult = calcCAPE_CIN(levels, mlLift.parcel);
+    const mlResult = calcCAPE_CIN(levels, mlLift.parcel, virtual, env);
 
     // Most-unstable
-    const muLev = mostUnstableParcel(levels);
+    const muLev = mostUnstableParcel(levels, muDepth);
     const muLift = liftParcel(muLev.temp, muLev.dewpoint, muLev.pressure, levels);
-    const muResult = calcCAPE_CIN(levels, muLift.parcel);
+    const muResult = calcCAPE_CIN(levels, muLift.parcel, virtual, env);
+
+    // Same parcels with the other temperature method, for comparison
+    const sbAlt = calcCAPE_CIN(levels, sbLift.parcel, !virtual, envAlt);
+    const mlAlt = calcCAPE_CIN(levels, mlLift.parcel, !virtual, envAlt);
+    const muAlt = calcCAPE_CIN(levels, muLift.parcel, !virtual, envAlt);
 
     // LCL height AGL
     const sbLCL_hgt = heightAtPressure(levels, sbLift.pLCL);
@@ -468,10 +652,16 @@ export function analyzeSounding(levels) {
 
     // ---- Shear / Helicity ----
     const bunkers = bunkersMotion(levels);
+    // SRH and storm-relative winds follow the user's storm motion when given, else the Bunkers right mover
+    const storm = userMotion
+        ? { ...motionFromDirSpd(userMotion.dir, userMotion.spd), source: 'user' }
+        : { ...toMotion(bunkers.right.u, bunkers.right.v), source: 'bunkers-right' };
     const shear01 = bulkShear(levels, 0, 1000);
     const shear06 = bulkShear(levels, 0, 6000);
-    const srh01 = calcSRH(levels, 0, 1000, bunkers.right.u, bunkers.right.v);
-    const srh03 = calcSRH(levels, 0, 3000, bunkers.right.u, bunkers.right.v);
+    const srh01 = calcSRH(levels, 0, 1000, storm.u, storm.v);
+    const srh03 = calcSRH(levels, 0, 3000, storm.u, storm.v);
+    const srh01Left = calcSRH(levels, 0, 1000, bunkers.left.u, bunkers.left.v);
+    const srh03Left = calcSRH(levels, 0, 3000, bunkers.left.u, bunkers.left.v);
 
     // ---- Lapse rates ----
     const lr03 = lapseRate(levels, 0, 3000);
@@ -484,6 +674,47 @@ export function analyzeSounding(levels) {
     const stp = calcSTP(sbResult.cape, lclAGL, srh01, shear06.mag * 1.94384, sbResult.cin);
     const scp = calcSCP(muResult.cape, srh03, shear06.mag * 1.94384);
 
+    // ---- Effective inflow layer ----
+    const mlLCL_hgt = heightAtPressure(levels, mlLift.pLCL);
+    const effective = effectiveParameters(levels, {
+        virtual,
+        env,
+        stormMotion: storm,
+        mlcape: mlResult.cape,
+        mlcin: mlResult.cin,
+        mlLclHeight: mlLCL_hgt ? mlLCL_hgt - sfcH : 0,
+        mucape: muResult.cape,
+        mucin: muResult.cin,
+        muElPressure: muResult.el ? muResult.el.pressure : null,
+    });
+
+    // ---- Downdraft ----
+    const downdraft = downdraftParameters(levels, virtual, env);
+
+    // ---- Hail ----
+    const hail = hailParameters(levels, {
+        virtual,
+        muParcel: muLift.parcel,
+        muLevel: muLev,
+        mucape: muResult.cape,
+        lr700_500,
+        shear06: shear06.mag,
+    });
+
+    // ---- Entraining CAPE ----
+    const entraining = ecapeParameters(levels, {
+        stormMotion: storm,
+        parcels: {
+            sb: { source: sfc, result: sbResult },
+            ml: { source: { temp: ml.temp, dewpoint: ml.dewpoint, pressure: sfc.pressure }, result: mlResult },
+            mu: { source: muLev, result: muResult },
+        },
+    });
+
+    // ---- Boundary layer ----
+    const convective = convectiveParameters(levels);
+    const boundary = boundaryLayerParameters(levels, { mlDepth, maxTemp: convective.maxTemp.forecast });
+
     // ---- Parcel paths for plotting ----
     return {
         sbcape: Math.round(sbResult.cape),
@@ -507,7 +738,15 @@ export function analyzeSounding(levels) {
         srh01: Math.round(srh01),
         srh03: Math.round(srh03),
 
+        srh01Left: Math.round(srh01Left),
+        srh03Left: Math.round(srh03Left),
+
         bunkers,
+        stormMotion: storm,
+        meanWind06: layerMeanWind(levels, 0, 6000),
+        corfidi: corfidiVectors(levels),
+        srWind02: stormRelativeWind(levels, 0, 2000, storm),
+        ...stormRelativeParameters(levels, storm),
 
         lr03: Math.round(lr03 * 10) / 10,
         lr700_500: Math.round(lr700_500 * 10) / 10,
@@ -517,8 +756,44 @@ export function analyzeSounding(levels) {
         stp: Math.round(stp * 10) / 10,
         scp: Math.round(scp * 10) / 10,
 
+        ...effective,
+        ...downdraft,
+        ...hail,
+        ...entraining,
+        convective,
+        boundary,
+        features: profileFeatures(levels),
+        winter: winterParameters(levels),
+        fire: fireParameters(levels, { lclHeight: lclAGL, pw, mucape: muResult.cape }),
+        classic: classicIndices(levels, {
+            sb: sfc,
+            ml: { temp: ml.temp, dewpoint: ml.dewpoint, pressure: sfc.pressure },
+            mu: muLev,
+        }),
+
+        virtual,
+        alternate: {
+            virtual: !virtual,
+            sbcape: Math.round(sbAlt.cape),
+            sbcin: Math.round(sbAlt.cin),
+            mlcape: Math.round(mlAlt.cape),
+            mlcin: Math.round(mlAlt.cin),
+            mucape: Math.round(muAlt.cape),
+            mucin: Math.round(muAlt.cin),
+            lfcPressure: sbAlt.lfc ? Math.round(sbAlt.lfc.pressure) : null,
+            elPressure: sbAlt.el ? Math.round(sbAlt.el.pressure) : null,
+        },
+
+        // Environmental virtual temperature (°C) for Skew-T plotting
+        virtualProfile: levels
+            .filter(l => l.temp != null)
+            .map(l => ({ pressure: l.pressure, tv: KtoC(envVirtualTemp(levels, l.pressure)) })),
+
         // Parcel path for Skew-T plotting
         sbParcel: sbLift.parcel,
+        customParcel: custom && custom.pressure <= levels[0].pressure ? customParcel(levels, custom, virtual) : null,
+        mlDepth,
+        muDepth,
         sfcHeight: sfcH,
 
         levels,
@@ -0,0 +1,229 @@
+/**
+ * Winter Precipitation Type
+ * Wet-bulb profile, warm noses and refreezing layers, Bourgouin (2000) melting
+ * and refreezing energies, the dendritic growth zone, and a precipitation-type
+ * diagnosis built from them
+ */
+
+import { wetBulb, mixingRatio, firstCrossing } from './thermo.js';
+
+const g = 9.80665;
+
+/** Only the lower troposphere matters for precipitation type */
+const TOP_PRESSURE = 500;
+/** Dewpoint depression (°C) at or below which a level counts as saturated */
+const SATURATED_DPD = 3;
+/** Cloud-top temperature (°C) cold enough for ice to nucleate */
+const ICE_NUCLEATION = -10;
+/** Dendritic growth zone bounds (°C) */
+const DGZ_WARM = -12;
+const DGZ_COLD = -17;
+
+/** Bourgouin thresholds (J/kg) */
+const MELT_SNOW = 5.6;      // surface warm layer: below this, snow survives
+const MELT_RAIN = 13.2;     // surface warm layer: above this, all rain
+const MELT_ALOFT = 2;       // warm nose weaker than this barely melts anything
+
+const PRECIP_TYPES = {
+    'none': 'No precipitation source',
+    'snow': 'Snow',
+    'rain-snow': 'Rain / snow mix',
+    'rain': 'Rain',
+    'sleet': 'Sleet (ice pellets)',
+    'snow-sleet': 'Snow / sleet mix',
+    'fzra-sleet': 'Freezing rain / sleet mix',
+    'fzra': 'Freezing rain',
+    'sleet-rain': 'Sleet / rain mix',
+    'fzdz': 'Freezing drizzle',
+    'drizzle': 'Drizzle',
+};
+
+/**
+ * @typedef {Object} ThermalLayer
+ * @property {boolean} warm - wet-bulb above 0 °C
+ * @property {number} bottomPressure
+ * @property {number} topPressure
+ * @property {number} bottomHeight - m AGL
+ * @property {number} topHeight - m AGL
+ * @property {number} energy - Bourgouin area, J/kg (positive when warm, negative when cold)
+ * @property {number} extremeTemp - warmest (warm layer) or coldest (cold layer) wet-bulb, °C
+ */
+
+/**
+ * @typedef {Object} WinterResult
+ * @property {boolean} relevant - cold enough near the ground for the diagnosis to matter
+ * @property {{pressure: number, tw: number}[]} wetBulbProfile - °C, surface to 500 hPa
+ * @property {ThermalLayer[]} thermalLayers - surface first
+ * @property {ThermalLayer|null} warmNose - lowest above-freezing layer aloft
+ * @property {ThermalLayer|null} refreezingLayer - subfreezing layer beneath the warm nose
+ * @property {ThermalLayer|null} surfaceWarmLayer
+ * @property {{bottomPressure: number, topPressure: number, bottomHeight: number, topHeight: number, depth: number, saturated: boolean}|null} dgz
+ * @property {boolean} saturated - any saturated layer below 500 hPa to produce precipitation
+ * @property {'ice'|'liquid'|null} initialPhase
+ * @property {{id: string, label: string}} precipType
+ */
+
+/**
+ * Split the wet-bulb profile into alternating above/below freezing layers and
+ * integrate the Bourgouin area of each: g·(Tw − 273.15)/273.15 over height,
+ * the area between the curve and the 0 °C isotherm.
+ *
+ * Layers use the wet-bulb rather than the dry-bulb temperature, since
+ * precipitation falling through unsaturated air cools toward it.
+ */
+function thermalLayers(points, sfcH) {
+    const layers = [];
+    let cur = null;
+
+    const close = (p) => {
+        cur.topPressure = Math.round(p.pressure);
+        cur.topHeight = Math.round(p.height - sfcH);
+        layers.push(cur);
+    };
+    const open = (p, warm) => {
+        cur = {
+            warm,
+            bottomPressure: Math.round(p.pressure),
+            topPressure: null,
+            bottomHeight: Math.round(p.height - sfcH),
+            topHeight: null,
+            energy: 0,
+            extremeTemp: p.tw,
+        };
+    };
+
+    open(points[0], points[0].tw > 0);
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1], b = points[i];
+        const warm = b.tw > 0;
+
+        if (warm === cur.warm) {
+            cur.energy += g * ((a.tw + b.tw) / 2 / 273.15) * (b.height - a.height);
+        } else {
+            // Split the segment at the 0 °C crossing
+            const frac = a.tw / (a.tw - b.tw);
+            const zero = {
+                pressure: Math.exp(Math.log(a.pressure) + frac * (Math.log(b.pressure) - Math.log(a.pressure))),
+                height: a.height + frac * (b.height - a.height),
+                tw: 0,
+            };
+            cur.energy += g * (a.tw / 2 / 273.15) * (zero.height - a.height);
+            close(zero);
+            open(zero, warm);
+            cur.energy += g * (b.tw / 2 / 273.15) * (b.height - zero.height);
+        }
+        cur.extremeTemp = warm ? Math.max(cur.extremeTemp, b.tw) : Math.min(cur.extremeTemp, b.tw);
+    }
+    close(points[points.length - 1]);
+
+    for (const l of layers) {
+        l.energy = Math.round(l.energy * 10) / 10;
+        l.extremeTemp = Math.round(l.extremeTemp * 10) / 10;
+    }
+    return layers;
+}
+
+/**
+ * Bourgouin decision tree on the layer energies.
+ */
+function diagnose(layers, initialPhase) {
+    const sfc = layers[0];
+
+    if (initialPhase === 'liquid') return sfc.warm ? 'drizzle' : 'fzdz';
+
+    const noseIdx = layers.findIndex((l, i) => i > 0 && l.warm);
+    if (noseIdx < 0) {
+        // No melting aloft: only a surface warm layer can change the snow
+        if (!sfc.warm) return 'snow';
+        if (sfc.energy < MELT_SNOW) return 'snow';
+        return sfc.energy < MELT_RAIN ? 'rain-snow' : 'rain';
+    }
+
+    const pa = layers.slice(noseIdx).filter(l => l.warm).reduce((s, l) => s + l.energy, 0);
+    const na = -layers.slice(sfc.warm ? 1 : 0, noseIdx).filter(l => !l.warm).reduce((s, l) => s + l.energy, 0);
+
+    if (pa < MELT_ALOFT) {
+        if (!sfc.warm || sfc.energy < MELT_SNOW) return 'snow';
+        return sfc.energy < MELT_RAIN ? 'rain-snow' : 'rain';
+    }
+
+    const refreezes = na > 66 + 0.66 * pa;
+    const staysLiquid = na < 46 + 0.66 * pa;
+
+    if (!sfc.warm) {
+        if (refreezes) return pa < MELT_SNOW ? 'snow-sleet' : 'sleet';
+        return staysLiquid ? 'fzra' : 'fzra-sleet';
+    }
+
+    // Refreezing layer aloft with a warm layer at the ground
+    if (!refreezes) return 'rain';
+    return sfc.energy > MELT_RAIN ? 'rain' : 'sleet-rain';
+}
+
+/**
+ * @param {import('../parser/sounding.js').SoundingLevel[]} levels
+ * @returns {WinterResult}
+ */
+export function winterParameters(levels) {
+    const sfcH = levels[0].height;
+    const column = levels.filter(l => l.pressure >= TOP_PRESSURE && l.temp != null && l.dewpoint != null && l.height != null);
+
+    const none = {
+        relevant: false, wetBulbProfile: [], thermalLayers: [], warmNose: null, refreezingLayer: null,
+        surfaceWarmLayer: null, dgz: null, saturated: false, initialPhase: null,
+        precipType: { id: 'none', label: PRECIP_TYPES.none },
+    };
+    if (column.length < 2) return none;
+
+    const points = column.map(l => ({ pressure: l.pressure, height: l.height, tw: wetBulb(l.temp, l.dewpoint, l.pressure) }));
+    const layers = thermalLayers(points, sfcH);
+
+    const sfcLayer = layers[0];
+    const noseIdx = layers.findIndex((l, i) => i > 0 && l.warm);
+    const warmNose = noseIdx > 0 ? layers[noseIdx] : null;
+    const refreezingLayer = warmNose && !layers[noseIdx - 1].warm ? layers[noseIdx - 1] : null;
+
+    // Precipitation source: the highest saturated level below 500 hPa sets the initial phase
+    const saturatedLevels = column.filter(l => l.temp - l.dewpoint <= SATURATED_DPD);
+    const saturated = saturatedLevels.length > 0;
+    const cloudTop = saturated ? saturatedLevels[saturatedLevels.length - 1] : null;
+    // Cloud still saturated at 500 hPa is assumed to extend high enough to glaciate
+    const initialPhase = !saturated ? null
+        : cloudTop.temp <= ICE_NUCLEATION || cloudTop === column[column.length - 1] ? 'ice' : 'liquid';
+
+    const id = saturated ? diagnose(layers, initialPhase) : 'none';
+
+    // Dendritic growth zone (dry-bulb)
+    let dgz = null;
+    const warm = firstCrossing(levels, l => l.temp, DGZ_WARM);
+    const cold = firstCrossing(levels, l => l.temp, DGZ_COLD);
+    if (warm && cold) {
+        const inZone = levels.filter(l => l.pressure <= warm.pressure && l.pressure >= cold.pressure && l.temp != null && l.dewpoint != null);
+        const rh = inZone.map(l => mixingRatio(l.dewpoint, l.pressure) / mixingRatio(l.temp, l.pressure));
+        const meanRh = rh.length ? rh.reduce((s, v) => s + v, 0) / rh.length : 0;
+        dgz = {
+            bottomPressure: warm.pressure,
+            topPressure: cold.pressure,
+            bottomHeight: warm.height,
+            topHeight: cold.height,
+            depth: cold.height - warm.height,
+            saturated: meanRh >= 0.8,
+        };
+    }
+
+    const sfcTemp = column[0].temp;
+    const relevant = sfcTemp <= 5 || layers.some(l => !l.warm && l.bottomHeight < 1000);
+
+    return {
+        relevant,
+        wetBulbProfile: points.map(p => ({ pressure: p.pressure, tw: Math.round(p.tw * 10) / 10 })),
+        thermalLayers: layers,
+        warmNose,
+        refreezingLayer,
+        surfaceWarmLayer: sfcLayer.warm ? sfcLayer : null,
+        dgz,
+        saturated,
+        initialPhase,
+        precipType: { id, label: PRECIP_TYPES[id] },
+    };
+}
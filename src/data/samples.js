@@ -3,7 +3,8 @@
  * Classic severe weather outbreak sounding (loosely modeled after a significant
  * tornado environment - warm, moist low levels with strong veering and deep shear)
  *
- * Format: pressure (hPa), height (m MSL), temp (°C), dewpoint (°C), wind dir (°), wind speed (kt)
+ * Format: pressure (hPa), height (m MSL), temp (°C), dewpoint (°C), wind dir (°), wind speed (kt);
+ * the dryline sample is a BUFKIT file
  */
 
 export const SAMPLE_SOUNDINGS = {
@@ -109,6 +110,61 @@ export const SAMPLE_SOUNDINGS = {
 250.0  13430  -56.0  -74.0    270    10
 200.0  15180  -54.0  -72.0    265    8`,
     },
+    dryline: {
+        station: 'DDC (Dodge City, KS)',
+        time: '21Z 21 May 2024 (F021)',
+        description: 'NAM BUFKIT forecast — high-based dryline supercells under steep mid-level lapse rates',
+        raw: `SNPARM = PRES;TMPC;TMWC;DWPC;THTE;DRCT;SKNT;OMEG;CFRL;HGHT
+STNPRM = SHOW;LIFT;SWET;KINX;LCLP;PWAT;TOTL;CAPE;LCLT;CINS;EQLV;LFCT;BRCH
+
+STID = STNM = 724550 TIME = 240521/2100
+SLAT = 37.77 SLON = -99.97 SELV = 790.0
+STIM = 21
+
+SHOW = -6.10 LIFT = -6.90 SWET = 598.00 KINX = 30.80
+LCLP = 748.00 PWAT = 26.40 TOTL = 57.20 CAPE = 3180.00
+LCLT = 287.00 CINS = -6.00 EQLV = 205.00 LFCT = 880.00
+BRCH = 41.00
+
+PRES TMPC TMWC DWPC THTE DRCT SKNT OMEG
+CFRL HGHT
+915.00 31.00 20.98 17.00 353.60 170.00 18.00 -0.40
+0.00 790.00
+900.00 29.60 20.22 16.40 352.74 175.00 30.00 -1.20
+0.00 937.00
+850.00 24.60 17.77 14.80 350.77 185.00 38.00 -2.00
+0.00 1439.00
+800.00 20.20 14.11 11.00 344.96 195.00 36.00 -2.60
+0.00 1964.00
+750.00 17.80 8.71 2.00 334.88 215.00 30.00 -2.20
+0.00 2515.00
+700.00 13.40 4.48 -4.00 330.67 230.00 32.00 -1.60
+0.00 3099.00
+650.00 8.60 0.44 -9.40 328.35 235.00 36.00 -1.20
+0.00 3715.00
+600.00 3.20 -3.84 -14.80 326.72 240.00 40.00 -1.00
+0.00 4369.00
+550.00 -2.60 -8.46 -20.60 325.68 240.00 45.00 -0.80
+0.00 5065.00
+500.00 -9.00 -13.60 -27.00 325.01 245.00 50.00 -0.60
+0.00 5811.00
+450.00 -15.60 -19.13 -34.60 325.20 245.00 56.00 -0.50
+0.00 6615.00
+400.00 -23.00 -25.34 -41.00 325.96 250.00 62.00 -0.40
+0.00 7491.00
+350.00 -31.40 -32.72 -47.40 326.82 250.00 70.00 -0.30
+0.00 8452.00
+300.00 -41.00 -41.61 -55.00 327.65 255.00 78.00 -0.20
+0.00 9521.00
+250.00 -51.00 -51.24 -63.00 330.11 255.00 85.00 -0.10
+0.00 10733.00
+200.00 -56.50 -56.67 -70.50 343.03 255.00 80.00 0.00
+0.00 12166.00
+150.00 -58.00 -58.20 -78.00 369.76 260.00 60.00 0.00
+0.00 13984.00
+100.00 -63.00 -63.15 -85.00 405.46 265.00 35.00 0.00
+0.00 16508.00`,
+    },
 };
 
 export function getSampleList() {
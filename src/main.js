@@ -1,15 +1,21 @@
 /**
  * Sounding Humanizer — Main Entry Point
- * Fetch-only flow: fetch from UWyo archive → parse → analyze → display
+ * Fetch from UWyo archive (or paste, upload or pick a sample) → parse → analyze → display
  */
 
 import './style.css';
-import { parseSounding } from './parser/sounding.js';
+import { readSounding, detectFormats, listFormats } from './parser/formats.js';
+import { DEFAULT_UNITS } from './parser/units.js';
+import { qualityControl, QC_CHECKS } from './parser/qc.js';
+import { toSharppy } from './parser/sharppy.js';
+import { listIgraSoundings } from './parser/igra.js';
 import { analyzeSounding } from './calc/thermo.js';
+import { modifySurface } from './calc/modify.js';
 import { SkewTDiagram } from './viz/skewt.js';
 import { HodographDiagram } from './viz/hodograph.js';
 import { humanize } from './analysis/humanizer.js';
 import { resolveStation, populateStationDropdown } from './data/stations.js';
+import { getSampleList, getSampleRaw } from './data/samples.js';
 
 // ---- DOM refs ----
 const fetchLanding = document.getElementById('fetch-landing');
@@ -17,15 +23,33 @@ const dataView = document.getElementById('data-view');
 const headerControls = document.getElementById('header-controls');
 const stationNameEl = document.getElementById('station-name');
 const stationTimeEl = document.getElementById('station-time');
+const stationMetaEl = document.getElementById('station-meta');
 const severityBadge = document.getElementById('severity-badge');
 const paramsBar = document.getElementById('params-bar');
 const analysisSection = document.getElementById('analysis-section');
 const fetchError = document.getElementById('fetch-error');
+const timeStepper = document.getElementById('time-stepper');
+const stepSlider = document.getElementById('step-slider');
+const stepLabel = document.getElementById('step-label');
 
 // ---- Diagrams ----
 let skewtDiagram = null;
 let hodoDiagram = null;
 
+// ---- Currently displayed sounding ----
+let currentData = null;
+
+// ---- Analysis / display options ----
+const analysisOptions = { virtual: true, stormMotion: null, mlDepth: 100, muDepth: 300, customParcel: null };
+const skewtOptions = { showVirtual: false };
+// Forecast surface conditions for the what-if mode (null = observed sounding;
+// a null temp or dewpoint keeps the observed value)
+let surfaceModification = null;
+
+// ---- Sounding time series (BUFKIT forecast hours, IGRA2 ascents) ----
+let currentSeries = null;
+let seriesIndex = 0;
+
 // ---- Init ----
 function init() {
     // Default to the latest available sounding
@@ -74,6 +98,104 @@ function init() {
     // "Fetch New Sounding" header button — go back to landing
     document.getElementById('btn-new-fetch')?.addEventListener('click', showFetchLanding);
 
+    // Pasted text, uploaded or dropped files
+    document.getElementById('btn-paste-submit')?.addEventListener('click', handlePaste);
+    document.getElementById('sounding-file')?.addEventListener('change', handleFileInput);
+    fetchLanding?.addEventListener('dragover', handleDragOver);
+    fetchLanding?.addEventListener('dragleave', handleDragLeave);
+    fetchLanding?.addEventListener('drop', handleDrop);
+
+    // Bundled samples
+    renderSampleGallery();
+
+    // Time-series stepping
+    document.getElementById('btn-step-prev')?.addEventListener('click', () => showSeriesStep(seriesIndex - 1));
+    document.getElementById('btn-step-next')?.addEventListener('click', () => showSeriesStep(seriesIndex + 1));
+    stepSlider?.addEventListener('input', () => showSeriesStep(parseInt(stepSlider.value, 10)));
+
+    // Skew-T / analysis options
+    document.getElementById('toggle-virtual')?.addEventListener('change', (e) => {
+        analysisOptions.virtual = e.target.checked;
+        refresh();
+    });
+    document.getElementById('toggle-tv-trace')?.addEventListener('change', (e) => {
+        skewtOptions.showVirtual = e.target.checked;
+        refresh();
+    });
+
+    // User-defined storm motion (blank = Bunkers right mover)
+    const stormDir = document.getElementById('storm-dir');
+    const stormSpd = document.getElementById('storm-spd');
+    const onStormMotion = () => {
+        const dir = parseFloat(stormDir.value);
+        const spd = parseFloat(stormSpd.value);
+        const valid = !isNaN(dir) && !isNaN(spd) && dir >= 0 && dir <= 360 && spd >= 0 && spd <= 150;
+        analysisOptions.stormMotion = valid ? { dir, spd } : null;
+        refresh();
+    };
+    stormDir?.addEventListener('input', debounce(onStormMotion));
+    stormSpd?.addEventListener('input', debounce(onStormMotion));
+    document.getElementById('btn-storm-reset')?.addEventListener('click', () => {
+        stormDir.value = '';
+        stormSpd.value = '';
+        onStormMotion();
+    });
+
+    // Parcel definitions: mixed-layer depth and most-unstable search depth
+    const depthInput = (id, key, min, max) => {
+        document.getElementById(id)?.addEventListener('input', debounce((e) => {
+            const v = parseFloat(e.target.value);
+            if (isNaN(v) || v < min || v > max) return;
+            analysisOptions[key] = v;
+            refresh();
+        }));
+    };
+    depthInput('ml-depth', 'mlDepth', 10, 300);
+    depthInput('mu-depth', 'muDepth', 50, 500);
+
+    // Custom parcel, typed in or picked on the Skew-T
+    const parcelInputs = ['parcel-pressure', 'parcel-temp', 'parcel-dewpoint'].map(id => document.getElementById(id));
+    const onCustomParcel = () => {
+        const [pressure, temp, dewpoint] = parcelInputs.map(el => parseFloat(el?.value));
+        const valid = !isNaN(pressure) && !isNaN(temp) && !isNaN(dewpoint) && pressure >= 100 && pressure <= 1100 && dewpoint <= temp;
+        analysisOptions.customParcel = valid ? { pressure, temp, dewpoint } : null;
+        refresh();
+    };
+    parcelInputs.forEach(el => el?.addEventListener('input', debounce(onCustomParcel)));
+    document.getElementById('skewt-canvas')?.addEventListener('parcelpick', (e) => {
+        const { pressure, temp, dewpoint } = e.detail;
+        [pressure, temp, dewpoint].forEach((v, i) => { parcelInputs[i].value = Math.round(v * 10) / 10; });
+        onCustomParcel();
+    });
+    document.getElementById('btn-parcel-clear')?.addEventListener('click', () => {
+        parcelInputs.forEach(el => { if (el) el.value = ''; });
+        onCustomParcel();
+    });
+
+    // What-if surface modification (blank temperature or dewpoint = observed)
+    const whatIfInputs = ['whatif-temp', 'whatif-dewpoint', 'whatif-dir', 'whatif-spd'].map(id => document.getElementById(id));
+    const onSurfaceModification = () => {
+        const [temp, dewpoint, windDir, windSpd] = whatIfInputs.map(el => parseFloat(el?.value));
+        const hasTemp = !isNaN(temp), hasDewpoint = !isNaN(dewpoint);
+        const valid = (hasTemp || hasDewpoint) &&
+            (!hasTemp || (temp >= -60 && temp <= 60)) &&
+            (!hasDewpoint || (dewpoint >= -80 && dewpoint <= 40)) &&
+            (!hasTemp || !hasDewpoint || dewpoint <= temp);
+        const wind = !isNaN(windDir) && !isNaN(windSpd) && windDir >= 0 && windDir <= 360 && windSpd >= 0 && windSpd <= 150;
+        surfaceModification = valid
+            ? { temp: hasTemp ? temp : null, dewpoint: hasDewpoint ? dewpoint : null, windDir: wind ? windDir : null, windSpd: wind ? windSpd : null }
+            : null;
+        refresh();
+    };
+    whatIfInputs.forEach(el => el?.addEventListener('input', debounce(onSurfaceModification)));
+    document.getElementById('btn-whatif-reset')?.addEventListener('click', () => {
+        whatIfInputs.forEach(el => { if (el) el.value = ''; });
+        onSurfaceModification();
+    });
+
+    // Export the loaded sounding for SHARPpy
+    document.getElementById('btn-export-sharppy')?.addEventListener('click', handleExportSharppy);
+
     // Resize handling
     window.addEventListener('resize', () => {
         if (skewtDiagram) skewtDiagram.draw();
@@ -133,25 +255,27 @@ async function handleFetch() {
             throw new Error('No data available for this station/date/time combination. Try a different date or station.');
         }
 
-        // Extract the <pre> content from the HTML response
-        const preMatch = html.match(/<pre>([\s\S]*?)<\/pre>/i);
-        if (!preMatch) {
+        // Extract the <pre> blocks from the HTML response: the data table,
+        // then the "Station information and sounding indices" footer
+        const preBlocks = [...html.matchAll(/<pre>([\s\S]*?)<\/pre>/gi)].map(m => m[1]);
+        if (preBlocks.length === 0) {
             throw new Error('No sounding data found in the response. The station may not have data for this date/time.');
         }
 
-        const rawText = preMatch[1]
+        const rawText = preBlocks.join('\n')
             .replace(/<[^>]*>/g, '') // strip any HTML tags inside <pre>
             .replace(/&lt;/g, '<')
             .replace(/&gt;/g, '>')
             .replace(/&amp;/g, '&');
 
-        const parsed = parseSounding(rawText, resolved.name, `${hour}Z ${day} ${monthName(parseInt(month))} ${year}`);
-
-        if (parsed.levels.length < 5) {
-            throw new Error('Could not parse enough data levels from the response. The sounding may be incomplete or the format unexpected.');
+        let read;
+        try {
+            read = readSounding(rawText, { station: resolved.name, time: `${hour}Z ${day} ${monthName(parseInt(month))} ${year}` });
+        } catch (err) {
+            throw new Error(`Could not parse enough data levels from the response. The sounding may be incomplete or the format unexpected.\n${err.message}`);
         }
 
-        processData(parsed);
+        processData(read.soundings[0]);
 
     } catch (err) {
         showError(err.message);
@@ -161,6 +285,181 @@ async function handleFetch() {
     }
 }
 
+// ---- Pasted / Uploaded / Dropped / Sample Text ----
+
+/**
+ * Read sounding text in any supported format and display it. Files holding
+ * several soundings (BUFKIT forecast hours, IGRA2 ascents) open in the time stepper.
+ * @param {string} text
+ * @param {Object} [options] - station / time / units passed to readSounding
+ * @param {string} [fallbackName] - station name to show when the text doesn't name one
+ */
+function loadSoundingText(text, options = {}, fallbackName = null) {
+    hideError();
+    try {
+        // IGRA2 station files are decoded once, for the picked date only
+        const soundings = detectFormats(text)[0]?.format.id === 'igra2'
+            ? readIgraDay(text, options)
+            : readSounding(text, options).soundings;
+        if (fallbackName) {
+            for (const s of soundings) {
+                if (!s.station || s.station === 'Unknown') s.station = fallbackName;
+            }
+        }
+
+        if (soundings.length > 1) {
+            currentSeries = soundings;
+            stepSlider.max = String(soundings.length - 1);
+            showSeriesStep(0, true);
+        } else {
+            processData(soundings[0]);
+        }
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+/**
+ * Units picked in the landing form; "Auto" leaves a quantity to the file's own header.
+ * @returns {import('./parser/units.js').InputUnits}
+ */
+function selectedUnits() {
+    const units = {};
+    const pick = (id, key) => {
+        const v = document.getElementById(id)?.value;
+        if (v) units[key] = v;
+    };
+    pick('unit-pressure', 'pressure');
+    pick('unit-temp', 'temp');
+    pick('unit-wind', 'windSpd');
+    pick('unit-height', 'height');
+    pick('unit-height-ref', 'heightReference');
+    pick('unit-humidity', 'humidity');
+    pick('unit-wind-form', 'wind');
+    const elevation = parseFloat(document.getElementById('unit-elevation')?.value);
+    if (!isNaN(elevation)) units.elevation = elevation;
+    return units;
+}
+
+function handlePaste() {
+    const text = document.getElementById('paste-input').value;
+    if (!text.trim()) {
+        showError('Paste a sounding into the text box first.');
+        return;
+    }
+    loadSoundingText(text, { units: selectedUnits() }, 'Pasted Sounding');
+}
+
+async function handleFileInput(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+        loadSoundingText(await file.text(), { units: selectedUnits() }, file.name);
+    } finally {
+        e.target.value = '';
+    }
+}
+
+function handleDragOver(e) {
+    e.preventDefault();
+    document.getElementById('drop-zone')?.classList.add('dragging');
+}
+
+function handleDragLeave(e) {
+    if (e.relatedTarget && fetchLanding.contains(e.relatedTarget)) return;
+    document.getElementById('drop-zone')?.classList.remove('dragging');
+}
+
+async function handleDrop(e) {
+    e.preventDefault();
+    document.getElementById('drop-zone')?.classList.remove('dragging');
+
+    const file = e.dataTransfer?.files?.[0];
+    if (file) {
+        loadSoundingText(await file.text(), { units: selectedUnits() }, file.name);
+        return;
+    }
+    const text = e.dataTransfer?.getData('text/plain');
+    if (text) {
+        document.getElementById('paste-input').value = text;
+        loadSoundingText(text, { units: selectedUnits() }, 'Dropped Sounding');
+    }
+}
+
+function renderSampleGallery() {
+    const grid = document.getElementById('sample-grid');
+    if (!grid) return;
+
+    grid.innerHTML = getSampleList().map(s => `
+      <button class="sample-card" data-sample="${s.key}">
+        <span class="sample-station">${s.station}</span>
+        <span class="sample-time">${s.time}</span>
+        <span class="sample-desc">${s.description}</span>
+      </button>
+    `).join('');
+
+    grid.addEventListener('click', (e) => {
+        const card = e.target.closest('.sample-card');
+        if (!card) return;
+        const sample = getSampleRaw(card.dataset.sample);
+        if (sample) loadSoundingText(sample.raw, { station: sample.station, time: sample.time }, sample.station);
+    });
+}
+
+/**
+ * IGRA2 station files span decades; load only the soundings on the date picked in the fetch form.
+ * @param {string} text
+ * @param {Object} [options] - passed on to readSounding along with the date window
+ */
+function readIgraDay(text, options = {}) {
+    const date = document.getElementById('fetch-date').value;
+    if (!date) throw new Error('Please select a date to load from the IGRA2 file.');
+
+    const all = listIgraSoundings(text);
+    if (!all.some(s => s.observationTime.slice(0, 10) === date)) {
+        const range = all.length > 0 ? ` (it covers ${all[0].observationTime.slice(0, 10)} to ${all[all.length - 1].observationTime.slice(0, 10)})` : '';
+        throw new Error(`No soundings on ${date} in this IGRA2 file${range}.`);
+    }
+    return readSounding(text, { ...options, format: 'igra2', from: `${date}T00:00Z`, to: `${date}T23:59Z` }).soundings;
+}
+
+// ---- Step through a time series ----
+function showSeriesStep(idx, scroll = false) {
+    if (!currentSeries) return;
+    seriesIndex = Math.max(0, Math.min(currentSeries.length - 1, idx));
+    processData(currentSeries[seriesIndex], { keepSeries: true, scroll });
+}
+
+function updateStepper() {
+    if (!currentSeries) {
+        timeStepper.classList.add('hidden');
+        return;
+    }
+    timeStepper.classList.remove('hidden');
+    stepSlider.value = String(seriesIndex);
+    const fh = currentSeries[seriesIndex].meta?.forecastHour;
+    stepLabel.textContent = fh != null ? `F${String(fh).padStart(3, '0')}` : `${seriesIndex + 1}/${currentSeries.length}`;
+    document.getElementById('btn-step-prev').disabled = seriesIndex === 0;
+    document.getElementById('btn-step-next').disabled = seriesIndex === currentSeries.length - 1;
+}
+
+// ---- Export ----
+function handleExportSharppy() {
+    if (!currentData) return;
+
+    const text = toSharppy(currentData);
+    const id = (currentData.meta?.stationId || currentData.station || 'sounding').split(/[\s(]/)[0];
+    const stamp = (currentData.meta?.observationTime || '').replace(/[^0-9]/g, '').slice(0, 10);
+    const filename = `${id}${stamp ? '_' + stamp : ''}.txt`;
+
+    const blob = new Blob([text], { type: 'text/plain' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
 function monthName(m) {
     return ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'][m - 1] || '';
 }
@@ -176,14 +475,36 @@ function hideError() {
 }
 
 // ---- Process & Display ----
-function processData(parsed) {
-    const analysis = analyzeSounding(parsed.levels);
+/**
+ * Fill a blank what-if temperature or dewpoint from the lowest observed level
+ * that has both, keeping the dewpoint at or below the temperature. Null if
+ * the sounding has no such level.
+ */
+function resolveSurfaceModification(mod, sfc) {
+    if (!sfc) return null;
+    const temp = mod.temp ?? sfc.temp;
+    const dewpoint = mod.dewpoint ?? sfc.dewpoint;
+    return { ...mod, temp, dewpoint: Math.min(dewpoint, temp) };
+}
+
+function processData(parsed, { keepSeries = false, scroll = true } = {}) {
+    const { levels: observed, report: qc } = qualityControl(parsed.levels);
+    const surface = surfaceModification && resolveSurfaceModification(surfaceModification, observed.find(l => l.temp != null && l.dewpoint != null));
+    const modified = surface ? modifySurface(observed, surface) : null;
+    const levels = modified ? modified.levels : observed;
+    const analysis = analyzeSounding(levels, analysisOptions);
     if (!analysis) {
         showError('Error computing analysis — not enough valid data levels.');
         return;
     }
+    const whatIf = modified
+        ? { original: analyzeSounding(observed, analysisOptions), mixedLayerTop: modified.mixedLayerTop, surface }
+        : null;
 
     const humanized = humanize(analysis);
+    currentData = parsed;
+    if (!keepSeries) currentSeries = null;
+    updateStepper();
 
     // Switch from fetch landing to data view
     fetchLanding.style.display = 'none';
@@ -193,6 +514,8 @@ function processData(parsed) {
     // Station bar
     stationNameEl.textContent = parsed.station || 'Unknown Station';
     stationTimeEl.textContent = parsed.time || '';
+    stationMetaEl.textContent = formatStationMeta(parsed.meta, parsed.source);
+    stationMetaEl.title = formatColumns(parsed.source);
 
     // Severity badge
     const sev = humanized.severity;
@@ -209,34 +532,82 @@ function processData(parsed) {
 
     // Small delay so layout is settled before drawing
     requestAnimationFrame(() => {
-        skewtDiagram.setData(parsed.levels, analysis);
-        hodoDiagram.setData(parsed.levels, analysis);
+        skewtDiagram.setData(levels, analysis, { qc, original: modified ? observed : null, ...skewtOptions });
+        hodoDiagram.setData(levels, analysis);
     });
 
     // Parameters bar
     renderParams(analysis);
 
     // Analysis cards
-    renderAnalysis(humanized);
+    renderAnalysis(humanized, reportedComparison(parsed.meta, analysis), {
+        qc,
+        whatIf: whatIf && whatIfComparison(whatIf, analysis),
+        customParcel: analysis.customParcel ?? rejectedParcel(analysisOptions.customParcel, levels[0]),
+    });
 
     // Scroll to top
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+    if (scroll) window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+/**
+ * Delay `fn` until `ms` have passed without another call, so typing into an
+ * option field re-runs the analysis once rather than on every keystroke.
+ */
+function debounce(fn, ms = 250) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), ms);
+    };
+}
+
+/**
+ * Re-run the analysis of the displayed sounding after an option changes.
+ */
+function refresh() {
+    if (currentData) processData(currentData, { keepSeries: true, scroll: false });
 }
 
 // ---- Render Parameters ----
 function renderParams(a) {
+    // Note the temperature method and the other method's value, for comparison
+    const method = (alt) => a.virtual
+        ? ` Uses the virtual temperature correction (dry-bulb: ${alt}).`
+        : ` Uses dry-bulb temperatures, the legacy method (virtual: ${alt}).`;
+
+    const eff = a.effectiveLayer;
+    const effectiveNote = eff
+        ? ` Inflow layer: ${eff.bottomPressure}-${eff.topPressure} hPa (${eff.bottomHeight}-${eff.topHeight} m AGL)${a.elevatedInflow ? ', elevated' : ''}.`
+        : ' No effective inflow layer: no parcel meets the CAPE/CIN criteria.';
+    const motionNote = ` Storm motion: ${a.stormMotion.dir}° @ ${a.stormMotion.spd} kt (${a.stormMotion.source === 'user' ? 'user-defined' : 'Bunkers right mover'}).`;
+    const downdraftNote = a.dcapeOrigin
+        ? ` Source: ${a.dcapeOrigin} hPa. Outflow ${a.outflowTemp}°C, ${a.coldPool}°C below the surface air.`
+        : '';
+
     const params = [
-        { label: 'SBCAPE', value: a.sbcape, unit: 'J/kg', max: 6000, color: capeColor(a.sbcape), desc: 'Surface-Based Convective Available Potential Energy. Measures total instability for air parcels originating from the surface.' },
-        { label: 'MLCAPE', value: a.mlcape, unit: 'J/kg', max: 6000, color: capeColor(a.mlcape), desc: 'Mixed-Layer CAPE. Measures instability for air parcels mixed over the lowest 100 mb, often a better representation of afternoon storm potential.' },
-        { label: 'CIN', value: a.sbcin, unit: 'J/kg', max: 300, color: '#3b82f6', desc: 'Convective Inhibition. The negative energy or cap that suppresses rising parcels. Large negative values mean a strong cap and fewer storms; near-zero means storms can form easily.' },
+        { label: 'SBCAPE', value: a.sbcape, unit: 'J/kg', max: 6000, color: capeColor(a.sbcape), desc: 'Surface-Based Convective Available Potential Energy. Measures total instability for air parcels originating from the surface.' + method(a.alternate.sbcape) },
+        { label: 'MLCAPE', value: a.mlcape, unit: 'J/kg', max: 6000, color: capeColor(a.mlcape), desc: `Mixed-Layer CAPE. Measures instability for air parcels mixed over the lowest ${a.mlDepth} mb, often a better representation of afternoon storm potential.` + method(a.alternate.mlcape) },
+        { label: 'MLECAPE', value: a.ecape.ml.ecape, unit: 'J/kg', max: 6000, color: capeColor(a.ecape.ml.ecape), desc: 'Mixed-layer entraining CAPE (Peters et al. 2023). The CAPE left once the updraft mixes in environmental air, at an entrainment rate set by the 0-1 km storm-relative inflow.' + (a.ecape.ml.ratio != null ? ` ${a.ecape.ml.ratio}% of MLCAPE survives, entraining ${a.ecape.ml.entrainment}% of the updraft mass per km.` : '') },
+        { label: 'CIN', value: a.sbcin, unit: 'J/kg', max: 300, color: '#3b82f6', desc: 'Convective Inhibition. The negative energy or cap that suppresses rising parcels. Large negative values mean a strong cap and fewer storms; near-zero means storms can form easily.' + method(a.alternate.sbcin) },
+        { label: 'DCAPE', value: a.dcape, unit: 'J/kg', max: 2000, color: dcapeColor(a.dcape), desc: 'Downdraft CAPE. Energy available to a saturated downdraft descending from the lowest theta-e level. Values over 1000 J/kg support damaging outflow winds.' + downdraftNote },
+        { label: 'Conv. Temp', value: a.convective.convectiveTemp ?? '—', unit: '°C', max: 45, color: a.convective.capBreaks === false ? '#3b82f6' : '#f97316', desc: 'Convective Temperature. Surface temperature needed for thermals to reach the convective condensation level (CCL) and form cumulus without other lift.' + (a.convective.ccl ? ` CCL: ${a.convective.ccl.height} m AGL (${a.convective.ccl.pressure} hPa).` : '') + (a.convective.maxTemp.forecast != null ? ` Max temperature from mixing down ${a.convective.maxTemp.level} hPa: ${a.convective.maxTemp.forecast}°C.` : '') },
         { label: 'LCL', value: a.lclHeight, unit: 'm', max: 3000, color: '#06b6d4', desc: 'Lifted Condensation Level. The estimated height of cloud bases. Lower LCLs (under 1000m) are generally more favorable for tornadoes.' },
         { label: '0-6km Shear', value: a.shear06, unit: 'kt', max: 80, color: shearColor(a.shear06), desc: 'Deep-layer wind shear. Critical for thunderstorm organization and supercell development.' },
         { label: '0-1km Shear', value: a.shear01, unit: 'kt', max: 50, color: shearColor(a.shear01), desc: 'Low-level wind shear. Important for low-level mesocyclone and tornado potential.' },
-        { label: '0-1km SRH', value: a.srh01, unit: 'm²/s²', max: 500, color: srhColor(a.srh01), desc: 'Storm-Relative Helicity in the lowest 1km. Measures the potential for cyclonic updraft rotation.' },
-        { label: '0-3km SRH', value: a.srh03, unit: 'm²/s²', max: 600, color: srhColor(a.srh03), desc: 'Storm-Relative Helicity in the lowest 3km. Measures overall potential for mid-level updraft rotation.' },
+        { label: '0-1km SRH', value: a.srh01, unit: 'm²/s²', max: 500, color: srhColor(a.srh01), desc: 'Storm-Relative Helicity in the lowest 1km. Measures the potential for cyclonic updraft rotation.' + motionNote + ` Left mover: ${a.srh01Left} m²/s².` },
+        { label: '0-3km SRH', value: a.srh03, unit: 'm²/s²', max: 600, color: srhColor(a.srh03), desc: 'Storm-Relative Helicity in the lowest 3km. Measures overall potential for mid-level updraft rotation.' + motionNote + ` Left mover: ${a.srh03Left} m²/s².` },
+        { label: 'Eff. SRH', value: a.esrh, unit: 'm²/s²', max: 600, color: srhColor(a.esrh), desc: 'Effective Storm-Relative Helicity. SRH over the effective inflow layer, the layer of parcels with at least 100 J/kg CAPE and CIN no worse than -250 J/kg.' + effectiveNote },
+        { label: 'EBWD', value: a.ebwd, unit: 'kt', max: 80, color: shearColor(a.ebwd), desc: 'Effective Bulk Wind Difference. Shear from the bottom of the effective inflow layer to half the height of the most-unstable equilibrium level, scaled to the depth of the storm.' },
         { label: 'STP', value: a.stp, unit: '', max: 10, color: stpColor(a.stp), desc: 'Significant Tornado Parameter. A composite index combining CAPE, LCL, SRH, and Shear to assess significant tornado risk.' },
+        { label: 'STP (eff)', value: a.stpEffective, unit: '', max: 10, color: stpColor(a.stpEffective), desc: 'Effective-layer Significant Tornado Parameter. Uses MLCAPE, ML LCL, effective SRH, EBWD and MLCIN; zero when the inflow layer is elevated.' },
+        { label: 'SCP (eff)', value: a.scpEffective, unit: '', max: 10, color: stpColor(a.scpEffective), desc: 'Effective Supercell Composite Parameter. MUCAPE, effective SRH and EBWD, reduced when MUCIN is strong.' },
         { label: 'SCP', value: a.scp, unit: '', max: 10, color: stpColor(a.scp), desc: 'Supercell Composite Parameter. A composite index of CAPE, SRH, and Bulk Shear indicating conditions favorable for supercells.' },
+        { label: 'SHIP', value: a.ship, unit: '', max: 4, color: stpColor(a.ship), desc: 'Significant Hail Parameter. Combines MUCAPE, MU mixing ratio, 700-500 mb lapse rate, 500 mb temperature and deep shear; values over 1 favor hail of 2 inches or larger. Expected maximum size: ' + a.hailSize.label + '.' },
+        { label: 'HGZ CAPE', value: a.hgzCape, unit: 'J/kg', max: 2000, color: hgzCapeColor(a.hgzCape), desc: 'CAPE of the most-unstable parcel within the hail growth zone (-10 to -30°C), where hailstones grow fastest.' + (a.hailGrowthZone ? ` Zone: ${a.hailGrowthZone.bottomHeight}-${a.hailGrowthZone.topHeight} m AGL, ${a.hailGrowthZone.depth} m deep.` : '') },
+        { label: 'Freezing Lvl', value: a.freezingLevel ? a.freezingLevel.height : '—', unit: 'm', max: 5000, color: '#06b6d4', desc: 'Height of the 0°C isotherm above ground.' + (a.wetBulbZero ? ` Wet-bulb zero: ${a.wetBulbZero.height} m AGL. A high wet-bulb zero means more melting of falling hail.` : '') },
         { label: 'PW', value: a.pw.toFixed(2), unit: 'in', max: 3, color: '#3b82f6', desc: 'Precipitable Water. Total column moisture. High values indicate heavy rain potential; low values increase dry microburst risk.' },
+        { label: 'ML Mix Ratio', value: a.boundary.mlMixingRatio ?? '—', unit: 'g/kg', max: 20, color: a.boundary.mixOut?.likely ? '#eab308' : '#3b82f6', desc: `Mean mixing ratio over the lowest ${a.mlDepth} mb. Around 12 g/kg or more supports surface-based severe storms.` + (a.boundary.moistLayer ? ` Moisture of ${a.boundary.moistLayer.threshold} g/kg or more is ${a.boundary.moistLayer.depth} m deep.` : '') + (a.boundary.mixOut ? ` Afternoon mixing to ${a.boundary.mixOut.mixingHeight.height} m lowers the surface dewpoint to ${a.boundary.mixOut.dewpoint}°C.` : '') },
         { label: '700-500 LR', value: a.lr700_500, unit: '°C/km', max: 10, color: '#f97316', desc: 'Mid-level Lapse Rate. Rate of cooling with height. Steeper rates (over 7°C/km) enhance updraft acceleration and large hail potential.' },
     ];
 
@@ -274,6 +645,21 @@ function srhColor(s) {
     return '#22c55e';
 }
 
+function dcapeColor(d) {
+    if (d >= 1200) return '#ef4444';
+    if (d >= 900) return '#f97316';
+    if (d >= 600) return '#eab308';
+    return '#22c55e';
+}
+
+function hgzCapeColor(c) {
+    if (c >= 1500) return '#a855f7';
+    if (c >= 1000) return '#ef4444';
+    if (c >= 400) return '#f97316';
+    if (c >= 100) return '#eab308';
+    return '#22c55e';
+}
+
 function stpColor(s) {
     if (s >= 6) return '#a855f7';
     if (s >= 3) return '#ef4444';
@@ -282,8 +668,116 @@ function stpColor(s) {
     return '#22c55e';
 }
 
+// ---- Station Metadata ----
+function formatStationMeta(meta, source) {
+    const parts = [];
+    const format = source?.format && listFormats().find(f => f.id === source.format);
+    if (format) parts.push(format.name);
+    if (source?.flaggedLevels) parts.push(`IGRA QC flags dropped values at ${source.flaggedLevels} level${source.flaggedLevels === 1 ? '' : 's'}`);
+    if (!meta) return parts.join('  ·  ');
+    if (meta.elevation != null) parts.push(`Elev ${Math.round(meta.elevation)} m`);
+    if (meta.latitude != null && meta.longitude != null) {
+        const lat = `${Math.abs(meta.latitude).toFixed(2)}°${meta.latitude >= 0 ? 'N' : 'S'}`;
+        const lon = `${Math.abs(meta.longitude).toFixed(2)}°${meta.longitude >= 0 ? 'E' : 'W'}`;
+        parts.push(`${lat} ${lon}`);
+    }
+    return parts.join('  ·  ');
+}
+
+function formatColumns(source) {
+    if (!source?.columns) return '';
+    const converted = Object.entries(source.units || {})
+        .filter(([field, unit]) => DEFAULT_UNITS[field] ? unit !== DEFAULT_UNITS[field] : ['K', 'F', 'm/s', 'mph', 'km/h', 'ft'].includes(unit))
+        .map(([field, unit]) => `${field} from ${unit}`);
+    return 'Columns used: ' + Object.entries(source.columns).map(([field, label]) => `${field} ← ${label}`).join(', ') +
+        (converted.length > 0 ? `\nConverted: ${converted.join(', ')}` : '') +
+        (source.heightReference === 'agl' ? '\nHeights are AGL (station elevation unknown)' : '');
+}
+
+/**
+ * Pair the indices reported by the data source with our own computed values,
+ * so differences in methodology are easy to spot.
+ */
+function reportedComparison(meta, a) {
+    const ix = meta?.indices;
+    if (!ix || Object.keys(ix).length === 0) return [];
+
+    // UWyo reports both dry-bulb and virtual-temperature parcels; compare like with like
+    const tv = a.virtual ? a : a.alternate;
+    const dry = a.virtual ? a.alternate : a;
+
+    const rows = [
+        { label: 'CAPE', reported: ix.cape, computed: dry.sbcape, unit: 'J/kg' },
+        { label: 'CIN', reported: ix.cin, computed: dry.sbcin, unit: 'J/kg' },
+        { label: 'CAPE (Tv)', reported: ix.capeVirtual, computed: tv.sbcape, unit: 'J/kg' },
+        { label: 'CIN (Tv)', reported: ix.cinVirtual, computed: tv.sbcin, unit: 'J/kg' },
+        { label: 'LCL', reported: ix.lclPressure, computed: a.lclPressure, unit: 'hPa' },
+        { label: 'LFC', reported: ix.lfcPressure, computed: dry.lfcPressure, unit: 'hPa' },
+        { label: 'LFC (Tv)', reported: ix.lfcPressureVirtual, computed: tv.lfcPressure, unit: 'hPa' },
+        { label: 'EL', reported: ix.elPressure, computed: dry.elPressure, unit: 'hPa' },
+        { label: 'EL (Tv)', reported: ix.elPressureVirtual, computed: tv.elPressure, unit: 'hPa' },
+        { label: 'LI', reported: ix.liftedIndex, computed: a.classic.li.ml, unit: '°C', digits: 1 },
+        { label: 'Showalter', reported: ix.showalter, computed: a.classic.showalter, unit: '°C', digits: 1 },
+        { label: 'K-Index', reported: ix.kIndex, computed: a.classic.kIndex, unit: '' },
+        { label: 'Total Totals', reported: ix.totalTotals, computed: a.classic.totalTotals, unit: '' },
+        { label: 'SWEAT', reported: ix.sweat, computed: a.classic.sweat, unit: '' },
+        { label: 'PW', reported: ix.pwMM != null ? ix.pwMM / 25.4 : undefined, computed: a.pw, unit: 'in', digits: 2 },
+    ];
+
+    return rows
+        .filter(r => r.reported != null)
+        .map(r => {
+            const fmt = v => (v == null ? 'N/A' : r.digits ? Number(v).toFixed(r.digits) : Math.round(v));
+            return { label: r.label, value: `${fmt(r.reported)} / ${fmt(r.computed)}${r.unit ? ` ${r.unit}` : ''}` };
+        });
+}
+
+/**
+ * Observed vs what-if values of the headline parameters, for the surface
+ * modification mode.
+ */
+function whatIfComparison({ original: o, mixedLayerTop, surface }, a) {
+    const rows = [
+        { label: 'SBCAPE', original: o.sbcape, modified: a.sbcape, unit: 'J/kg' },
+        { label: 'SBCIN', original: o.sbcin, modified: a.sbcin, unit: 'J/kg' },
+        { label: 'MLCAPE', original: o.mlcape, modified: a.mlcape, unit: 'J/kg' },
+        { label: 'MLCIN', original: o.mlcin, modified: a.mlcin, unit: 'J/kg' },
+        { label: 'MUCAPE', original: o.mucape, modified: a.mucape, unit: 'J/kg' },
+        { label: 'MLECAPE', original: o.ecape.ml.ecape, modified: a.ecape.ml.ecape, unit: 'J/kg' },
+        { label: 'LCL', original: o.lclHeight, modified: a.lclHeight, unit: 'm' },
+        { label: 'LFC', original: o.lfcHeight, modified: a.lfcHeight, unit: 'm' },
+        { label: 'EL', original: o.elHeight, modified: a.elHeight, unit: 'm' },
+        { label: 'DCAPE', original: o.dcape, modified: a.dcape, unit: 'J/kg' },
+        { label: '0-1km SRH', original: o.srh01, modified: a.srh01, unit: 'm²/s²' },
+        { label: 'Eff. SRH', original: o.esrh, modified: a.esrh, unit: 'm²/s²' },
+        { label: 'STP', original: o.stp, modified: a.stp, unit: '', digits: 1 },
+        { label: 'STP (eff)', original: o.stpEffective, modified: a.stpEffective, unit: '', digits: 1 },
+        { label: 'SCP', original: o.scp, modified: a.scp, unit: '', digits: 1 },
+        { label: 'SHIP', original: o.ship, modified: a.ship, unit: '', digits: 1 },
+        { label: 'Lifted Index', original: o.classic.li.ml, modified: a.classic.li.ml, unit: '°C', digits: 1 },
+        { label: 'PW', original: o.pw, modified: a.pw, unit: 'in', digits: 2 },
+    ];
+
+    return {
+        mixedLayerTop,
+        surface,
+        rows: rows.map(r => {
+            const fmt = v => (v == null ? 'N/A' : r.digits ? Number(v).toFixed(r.digits) : Math.round(v));
+            const delta = r.original != null && r.modified != null ? r.modified - r.original : null;
+            const change = delta == null ? '—' : `${delta > 0 ? '+' : ''}${fmt(delta)}`;
+            return {
+                label: r.label,
+                original: `${fmt(r.original)}${r.unit ? ` ${r.unit}` : ''}`,
+                modified: `${fmt(r.modified)}${r.unit ? ` ${r.unit}` : ''}`,
+                change,
+                changed: delta != null && Math.abs(delta) >= (r.digits ? 10 ** -r.digits : 1),
+            };
+        }),
+    };
+}
+
 // ---- Render Analysis Cards ----
-function renderAnalysis(h) {
+function renderAnalysis(h, reported = [], { qc = null, whatIf = null, customParcel = null } = {}) {
     let html = `
     <div class="analysis-card full-width" style="animation-delay:0s;">
       <div class="card-header">
@@ -296,6 +790,14 @@ function renderAnalysis(h) {
     </div>
   `;
 
+    if (whatIf) {
+        html += whatIfCard(whatIf);
+    }
+
+    if (customParcel) {
+        html += customParcelCard(customParcel);
+    }
+
     h.sections.forEach((s, idx) => {
         html += `
       <div class="analysis-card" style="animation-delay:${(idx + 1) * 0.08}s;">
@@ -314,8 +816,173 @@ function renderAnalysis(h) {
     `;
     });
 
+    if (h.classic.length > 0) {
+        html += classicCard(h.classic, h.sections.length + 1);
+    }
+
+    if (reported.length > 0) {
+        html += `
+      <div class="analysis-card full-width" style="animation-delay:${(h.sections.length + 1) * 0.08}s;">
+        <div class="card-header">
+          <div class="card-icon" style="background:rgba(148,163,184,0.15);">🧾</div>
+          <h3>Reported vs Computed</h3>
+        </div>
+        <div class="card-body">
+          Indices reported by the data source alongside the values computed here (reported / computed). Small differences are expected from interpolation and parcel definitions; large ones are worth a second look at the data.
+        </div>
+        <div class="card-detail">
+          ${reported.map(c => `<div class="detail-chip"><span>${c.label}:</span> <span class="chip-value">${c.value}</span></div>`).join('')}
+        </div>
+      </div>
+    `;
+    }
+
+    if (qc) {
+        html += qcCard(qc, h.sections.length + 2);
+    }
+
     analysisSection.innerHTML = html;
 }
 
+/**
+ * Collapsible "Classic Indices" card, one row per index with its reading.
+ */
+function classicCard(rows, position) {
+    const body = rows
+        .map(r => `<tr><th>${r.label}</th><td class="classic-value">${r.value}</td><td>${r.note}</td></tr>`)
+        .join('');
+
+    return `
+      <details class="analysis-card full-width classic-indices" style="animation-delay:${position * 0.08}s;">
+        <summary class="card-header">
+          <div class="card-icon" style="background:rgba(148,163,184,0.15);">📜</div>
+          <h3>Classic Indices</h3>
+        </summary>
+        <div class="card-body">
+          Traditional stability indices computed from dry-bulb temperatures, as originally defined, for comparison with older forecasts.
+          <table class="classic-table">${body}</table>
+        </div>
+      </details>
+    `;
+}
+
+/**
+ * Side-by-side observed / what-if parameters for a modified surface.
+ */
+function whatIfCard({ mixedLayerTop, surface: sfc, rows }) {
+    const wind = sfc.windDir != null ? `, wind ${sfc.windDir}° @ ${sfc.windSpd} kt` : '';
+    const body = rows
+        .map(r => `<tr${r.changed ? ' class="whatif-changed"' : ''}><th>${r.label}</th><td class="classic-value">${r.original}</td><td class="classic-value">${r.modified}</td><td class="classic-value">${r.change}</td></tr>`)
+        .join('');
+
+    return `
+      <div class="analysis-card full-width" style="animation-delay:0.04s;">
+        <div class="card-header">
+          <div class="card-icon" style="background:rgba(251,146,60,0.15);">🔮</div>
+          <h3>What-If Surface</h3>
+          <div class="card-severity" style="background:#fb923c20;color:#fb923c;">Modified</div>
+        </div>
+        <div class="card-body">
+          Surface set to <strong>${sfc.temp}/${sfc.dewpoint}°C${wind}</strong>, mixed up a dry adiabat to ${mixedLayerTop} hPa with well-mixed moisture. Everything else on this page describes the modified sounding; the observed traces are dashed on the Skew-T.
+          <table class="classic-table whatif-table">
+            <tr><th></th><th>Observed</th><th>What-if</th><th>Change</th></tr>
+            ${body}
+          </table>
+        </div>
+      </div>
+    `;
+}
+
+/**
+ * Why a custom parcel the user entered was not lifted, or null if there is none.
+ */
+function rejectedParcel(source, sfc) {
+    if (!source || source.pressure <= sfc.pressure) return null;
+    return {
+        source,
+        rejected: `${source.pressure} hPa is below the ground: the surface pressure is ${Math.round(sfc.pressure * 10) / 10} hPa. Pick a level at or above the surface.`,
+    };
+}
+
+/**
+ * Results for the user's custom parcel.
+ */
+function customParcelCard(cp) {
+    if (cp.rejected) {
+        return `
+      <div class="analysis-card full-width" style="animation-delay:0.06s;">
+        <div class="card-header">
+          <div class="card-icon" style="background:rgba(34,211,238,0.15);">🎈</div>
+          <h3>Custom Parcel</h3>
+          <div class="card-severity" style="background:#f9731620;color:#f97316;">Not Lifted</div>
+        </div>
+        <div class="card-body">${cp.rejected}</div>
+      </div>
+    `;
+    }
+    const { pressure, temp, dewpoint } = cp.source;
+    const hgt = (h, p) => (h == null ? 'N/A' : `${h} m (${p} hPa)`);
+    const chips = [
+        { label: 'CAPE', value: `${cp.cape} J/kg` },
+        { label: 'CIN', value: `${cp.cin} J/kg` },
+        { label: 'LCL', value: hgt(cp.lclHeight, cp.lclPressure) },
+        { label: 'LFC', value: hgt(cp.lfcHeight, cp.lfcPressure) },
+        { label: 'EL', value: hgt(cp.elHeight, cp.elPressure) },
+    ];
+
+    return `
+      <div class="analysis-card full-width" style="animation-delay:0.06s;">
+        <div class="card-header">
+          <div class="card-icon" style="background:rgba(34,211,238,0.15);">🎈</div>
+          <h3>Custom Parcel</h3>
+        </div>
+        <div class="card-body">
+          Parcel lifted from <strong>${Math.round(pressure)} hPa at ${temp}/${dewpoint}°C</strong>, drawn in cyan on the Skew-T. Heights are AGL.
+        </div>
+        <div class="card-detail">
+          ${chips.map(c => `<div class="detail-chip"><span>${c.label}:</span> <span class="chip-value">${c.value}</span></div>`).join('')}
+        </div>
+      </div>
+    `;
+}
+
+/**
+ * "Data Quality" card listing what the QC pass repaired or flagged.
+ */
+function qcCard(qc, position) {
+    const MAX_LISTED = 8;
+    const clean = qc.issues.length === 0;
+    const color = clean ? '#22c55e' : qc.counts.flagged > 0 ? '#f97316' : '#eab308';
+    const label = clean ? 'Clean' : `${qc.issues.length} Issue${qc.issues.length === 1 ? '' : 's'}`;
+
+    const listed = qc.issues.slice(0, MAX_LISTED)
+        .map(i => `<li><strong>${QC_CHECKS[i.check]}</strong> (${i.action}): ${i.message}</li>`)
+        .join('');
+    const more = qc.issues.length > MAX_LISTED ? `<li>…and ${qc.issues.length - MAX_LISTED} more.</li>` : '';
+    const body = clean
+        ? 'No duplicate levels, supersaturation, hydrostatic inconsistencies, superadiabatic layers aloft or wind spikes were found.'
+        : `Suspect levels are circled on the Skew-T. Repaired values are what the analysis uses; flagged values are used as reported.<ul class="qc-list">${listed}${more}</ul>`;
+
+    const chips = Object.entries(qc.counts)
+        .map(([action, n]) => `<div class="detail-chip"><span>${action[0].toUpperCase() + action.slice(1)}:</span> <span class="chip-value">${n}</span></div>`)
+        .join('');
+
+    return `
+      <div class="analysis-card full-width" style="animation-delay:${position * 0.08}s;">
+        <div class="card-header">
+          <div class="card-icon" style="background:rgba(148,163,184,0.15);">🔎</div>
+          <h3>Data Quality</h3>
+          <div class="card-severity" style="background:${color}20;color:${color};">${label}</div>
+        </div>
+        <div class="card-body">
+          ${body}
+        </div>
+        <div class="card-detail">
+          ${chips}
+        </div>
+      </div>
+    `;
+}
+
 // ---- Boot ----
 init();
@@ -0,0 +1,158 @@
+/**
+ * BUFKIT Forecast Sounding Parser
+ * Reads model forecast soundings (.buf) into a time series of SoundingData
+ */
+
+import { isMissing, parseObservationTime, formatSoundingTime } from './sounding.js';
+import { SOUNDING_PARAMETERS, SOURCE_FIELDS, normalizeLevel } from './units.js';
+
+/** BUFKIT STNPRM names → the reported-index keys used by parseStationInfo */
+const BUFKIT_INDICES = {
+    SHOW: 'showalter',
+    LIFT: 'liftedIndex',
+    SWET: 'sweat',
+    KINX: 'kIndex',
+    LCLP: 'lclPressure',
+    PWAT: 'pwMM',
+    TOTL: 'totalTotals',
+    CAPE: 'cape',
+    LCLT: 'lclTempK',
+    CINS: 'cin',
+    EQLV: 'elPressure',
+    LFCT: 'lfcPressure',
+    BRCH: 'bulkRichardson',
+};
+
+/**
+ * True if the text looks like a BUFKIT file.
+ */
+export function isBufkit(text) {
+    return /SNPARM\s*=/.test(text) && /STID\s*=/.test(text);
+}
+
+/**
+ * Parse a BUFKIT file.
+ *
+ * The file starts with `SNPARM = PRES;TMPC;...` naming the per-level columns,
+ * followed by one block per forecast hour beginning with `STID = ...`. Each
+ * level's values wrap over several lines, so values are read in groups of
+ * `SNPARM.length`. Any GEMPAK spelling of a field is accepted (TMPK for
+ * TMPC, SPED or UWND/VWND for SKNT, ...) and converted to °C and knots.
+ *
+ * @param {string} text
+ * @returns {import('./sounding.js').SoundingData[]} one entry per forecast hour, in file order
+ */
+export function parseBufkit(text) {
+    const snparm = text.match(/SNPARM\s*=\s*([A-Z0-9;]+)/i);
+    if (!snparm) throw new Error('BUFKIT file has no SNPARM line.');
+    const params = snparm[1].toUpperCase().split(';').filter(p => p.length > 0);
+
+    // Source field → { index, name } of the first SNPARM column that holds it
+    const col = {};
+    params.forEach((name, index) => {
+        const param = SOUNDING_PARAMETERS[name];
+        if (param && !col[param.field]) col[param.field] = { index, name };
+    });
+    if (!col.pressure || !col.height || !col.temp) {
+        throw new Error('BUFKIT SNPARM must include PRES, HGHT and TMPC.');
+    }
+
+    const columns = {};
+    for (const [name, fields] of Object.entries(SOURCE_FIELDS)) {
+        const field = fields.find(f => col[f]);
+        if (field) columns[name] = col[field].name;
+    }
+
+    const blocks = text.replace(/\r/g, '').split(/(?=^\s*STID\s*=)/m).slice(1);
+    return blocks.map(block => parseBlock(block, params, col, columns)).filter(s => s.levels.length > 0);
+}
+
+/**
+ * Parse one `STID = ...` forecast-hour block.
+ */
+function parseBlock(block, params, col, columns) {
+    const lines = block.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+    const header = {};
+    const values = [];
+    let inData = false;
+
+    for (const line of lines) {
+        const tokens = line.split(/\s+/);
+        const numeric = tokens.every(t => !isNaN(Number(t)));
+
+        if (inData && !numeric) break; // e.g. the trailing surface-data section
+        if (numeric) {
+            inData = true;
+            values.push(...tokens.map(Number));
+            continue;
+        }
+
+        // Column-name lines that precede the data
+        if (tokens.every(t => params.includes(t.toUpperCase()))) continue;
+
+        // A blank value (`STID = STNM = 724550`) must not swallow the next key
+        for (const m of line.matchAll(/(\w+)\s*=\s*(?:([^\s=]+)(?=\s|$)(?!\s*=))?/g)) {
+            if (m[2]) header[m[1].toUpperCase()] = m[2];
+        }
+    }
+
+    const levels = [];
+    const n = params.length;
+    for (let i = 0; i + n <= values.length; i += n) {
+        const row = values.slice(i, i + n);
+        const raw = {};
+        const units = {};
+        for (const [field, { index, name }] of Object.entries(col)) {
+            raw[field] = isMissing(row[index]) ? null : row[index];
+            units[field] = SOUNDING_PARAMETERS[name].unit;
+        }
+
+        const { pressure, height, temp, dewpoint: td, windDir: dir, windSpd: spd } = normalizeLevel(raw, units);
+        const dewpoint = temp === null ? null : td;
+        let windDir = dir;
+        let windSpd = spd;
+        if (windDir === null || windSpd === null) windDir = windSpd = null;
+
+        if (pressure === null || height === null) continue;
+        if (temp === null && windSpd === null) continue;
+
+        levels.push({
+            pressure,
+            height,
+            temp,
+            dewpoint,
+            windDir: windDir === null ? null : Math.round(windDir),
+            windSpd: windSpd === null ? null : Math.round(windSpd),
+        });
+    }
+
+    levels.sort((a, b) => b.pressure - a.pressure);
+
+    const indices = {};
+    for (const [key, name] of Object.entries(BUFKIT_INDICES)) {
+        const v = Number(header[key]);
+        if (header[key] != null && !isMissing(v)) indices[name] = v;
+    }
+
+    const stationId = header.STID || null;
+    const observationTime = header.TIME ? parseObservationTime(header.TIME) : null;
+    const forecastHour = header.STIM != null ? parseInt(header.STIM, 10) : null;
+    const num = v => (v != null && !isNaN(Number(v)) ? Number(v) : null);
+
+    return {
+        station: stationId || 'Unknown',
+        time: `${formatSoundingTime(observationTime)}${forecastHour != null ? ` (F${String(forecastHour).padStart(3, '0')})` : ''}`,
+        levels,
+        meta: {
+            stationId,
+            stationNumber: header.STNM || null,
+            observationTime,
+            latitude: num(header.SLAT),
+            longitude: num(header.SLON),
+            elevation: num(header.SELV),
+            indices,
+            forecastHour,
+        },
+        source: { columns },
+    };
+}
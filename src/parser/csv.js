@@ -0,0 +1,195 @@
+/**
+ * Delimited-Text Sounding Reader
+ * Reads CSV / TSV / semicolon tables whose header names the columns in any
+ * common spelling (e.g. "pressure_hPa", "Temp (C)", "wind speed")
+ */
+
+import { isMissing } from './sounding.js';
+import { fillHeights } from './profile.js';
+import { SOUNDING_PARAMETERS, SOURCE_FIELDS, parseUnit, isAglLabel, normalizeLevel, applyHeightReference } from './units.js';
+
+/** Normalized header name → source field (GEMPAK names are matched via SOUNDING_PARAMETERS) */
+const COLUMN_ALIASES = {
+    pressure: ['pres', 'pressure', 'press', 'p', 'prs', 'pres_hpa', 'pressure_hpa', 'pressure_mb', 'level'],
+    height: ['hght', 'height', 'hgt', 'z', 'gph', 'geopotential_height', 'alt', 'altitude', 'elevation',
+        'height_agl', 'hght_agl', 'agl', 'z_agl', 'height_msl', 'hght_msl', 'msl', 'z_msl'],
+    temp: ['temp', 'temperature', 't', 'tc', 'air_temperature', 'air_temp'],
+    dewpoint: ['dwpt', 'dewpoint', 'dew_point', 'dewpt', 'td', 'dew_point_temperature'],
+    dewpointDepression: ['dpd', 'dwpd', 'dpdp', 'dewpoint_depression', 'dew_point_depression', 't_td', 'spread'],
+    relHumidity: ['rh', 'relh', 'relative_humidity', 'humidity', 'hum'],
+    windDir: ['drct', 'wdir', 'dir', 'wind_direction', 'wind_dir', 'direction', 'wd'],
+    windSpd: ['wspd', 'speed', 'wind_speed', 'wind_spd', 'spd', 'ws', 'knot', 'knots'],
+    windU: ['u', 'u_wind', 'uwind', 'u_component', 'wind_u'],
+    windV: ['v', 'v_wind', 'vwind', 'v_component', 'wind_v'],
+};
+
+/**
+ * Normalize a header label: lowercase, drop a trailing unit in () or [],
+ * and collapse non-alphanumerics to underscores.
+ */
+function normalizeHeader(label) {
+    return label
+        .toLowerCase()
+        .replace(/\s*[([].*?[)\]]\s*$/, '')
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_|_$/g, '');
+}
+
+/**
+ * Unit annotation in a header label, e.g. "Temp (K)" → "K".
+ */
+function headerUnit(label) {
+    const m = label.match(/[([]\s*([^)\]]+?)\s*[)\]]\s*$/);
+    return m ? m[1] : null;
+}
+
+/**
+ * Pick the delimiter that splits the header into the most fields.
+ */
+function detectDelimiter(line) {
+    const candidates = [',', '\t', ';', '|'];
+    let best = null, bestCount = 1;
+    for (const d of candidates) {
+        const count = line.split(d).length;
+        if (count > bestCount) {
+            best = d;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * Map header labels to source fields, with the unit each label declares
+ * (or its GEMPAK name implies).
+ * @param {string[]} labels
+ * @returns {Object<string, {index: number, label: string, unit: string|null}>}
+ */
+export function mapCsvColumns(labels) {
+    const mapping = {};
+    labels.forEach((label, index) => {
+        const norm = normalizeHeader(label);
+        const param = SOUNDING_PARAMETERS[norm.toUpperCase()];
+        const field = param
+            ? param.field
+            : Object.keys(COLUMN_ALIASES).find(f => COLUMN_ALIASES[f].includes(norm));
+        if (!field || mapping[field]) return;
+        mapping[field] = { index, label: label.trim(), unit: parseUnit(headerUnit(label)) || param?.unit || null };
+    });
+    return mapping;
+}
+
+/**
+ * Locate the header row of a delimited table.
+ * @returns {{index: number, delimiter: string, labels: string[], mapping: Object}|null}
+ */
+export function findCsvHeader(text) {
+    const lines = text.replace(/\r/g, '').split('\n');
+    for (let i = 0; i < Math.min(lines.length, 20); i++) {
+        const line = lines[i].trim();
+        if (line.length === 0 || line.startsWith('#')) continue;
+
+        const delimiter = detectDelimiter(line);
+        if (!delimiter) continue;
+
+        const labels = line.split(delimiter).map(l => l.trim().replace(/^"|"$/g, ''));
+        const mapping = mapCsvColumns(labels);
+        if (mapping.pressure && mapping.temp) return { index: i, delimiter, labels, mapping };
+    }
+    return null;
+}
+
+/**
+ * Parse a delimited sounding table with arbitrary (recognizable) headers.
+ *
+ * Units declared in the header (`Temp (K)`, `Wind speed [m/s]`) are converted;
+ * `options.units` overrides them. A height label mentioning AGL shifts heights
+ * to MSL when the station elevation is given in `options.units.elevation`.
+ * Missing heights, or a table with no height column at all, are filled in
+ * hypsometrically; without a height column they start from 0 at the lowest
+ * level and count as AGL.
+ *
+ * @param {string} text
+ * @param {string} [stationName]
+ * @param {string} [time]
+ * @param {Object} [options]
+ * @param {import('./units.js').InputUnits} [options.units]
+ * @returns {import('./sounding.js').SoundingData}
+ */
+export function parseCsv(text, stationName = 'Unknown', time = '', options = {}) {
+    const header = findCsvHeader(text);
+    if (!header) {
+        throw new Error('No header row naming at least pressure and temperature columns was found.');
+    }
+
+    const { mapping, delimiter } = header;
+
+    const fileUnits = {};
+    for (const [field, col] of Object.entries(mapping)) {
+        if (col.unit) fileUnits[field] = col.unit;
+    }
+    const { heightReference: userReference, elevation = null, ...userUnits } = options.units || {};
+    const units = { ...fileUnits, ...userUnits };
+    let heightReference = userReference || (!mapping.height || isAglLabel(mapping.height.label) ? 'agl' : 'msl');
+
+    const lines = text.replace(/\r/g, '').split('\n').slice(header.index + 1);
+    const levels = [];
+
+    for (const row of lines) {
+        const line = row.trim();
+        if (line.length === 0 || line.startsWith('#')) continue;
+
+        const cells = line.split(delimiter).map(c => c.trim().replace(/^"|"$/g, ''));
+        const get = (field) => {
+            const col = mapping[field];
+            if (!col || cells[col.index] == null || cells[col.index] === '') return null;
+            const v = Number(cells[col.index]);
+            return isMissing(v) ? null : v;
+        };
+
+        const raw = {};
+        for (const field of Object.keys(COLUMN_ALIASES)) raw[field] = get(field);
+
+        const { pressure, height, temp, dewpoint: td, windDir: dir, windSpd: spd } = normalizeLevel(raw, units);
+        const dewpoint = temp === null ? null : td;
+        let windDir = dir;
+        let windSpd = spd;
+        if (windDir === null || windSpd === null) windDir = windSpd = null;
+
+        if (pressure === null || pressure < 50 || pressure > 1100) continue;
+        if (temp === null && windSpd === null) continue;
+
+        levels.push({ pressure, height, temp, dewpoint, windDir, windSpd });
+    }
+
+    levels.sort((a, b) => b.pressure - a.pressure);
+    fillHeights(levels);
+
+    if (applyHeightReference(levels, heightReference, elevation)) heightReference = 'msl';
+
+    const columns = {};
+    for (const [name, fields] of Object.entries(SOURCE_FIELDS)) {
+        const used = fields.filter(f => mapping[f]);
+        if (used.length === 0) continue;
+        columns[name] = name.startsWith('wind') && !mapping[name] && mapping.windU && mapping.windV
+            ? `${mapping.windU.label} + ${mapping.windV.label}`
+            : mapping[used[0]].label;
+    }
+    if (!mapping.height) columns.height = 'hypsometric';
+
+    return {
+        station: stationName,
+        time,
+        levels,
+        meta: {
+            stationId: null,
+            stationNumber: null,
+            observationTime: null,
+            latitude: null,
+            longitude: null,
+            elevation: elevation ?? (heightReference === 'msl' && levels.length > 0 ? levels[0].height : null),
+            indices: {},
+        },
+        source: { columns, units, heightReference },
+    };
+}
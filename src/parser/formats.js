@@ -0,0 +1,196 @@
+/**
+ * Sounding Format Registry
+ * Each reader declares a detector and a parser; readSounding() picks the best
+ * match, reports what it used, and explains itself when nothing fits
+ */
+
+import { parseSounding, tableLayout } from './sounding.js';
+import { parseSharppy } from './sharppy.js';
+import { isWmoTemp, parseWmoTemp } from './wmoTemp.js';
+import { isBufkit, parseBufkit } from './bufkit.js';
+import { isIgra, parseIgra } from './igra.js';
+import { findCsvHeader, parseCsv } from './csv.js';
+
+/** Fewest levels analyzeSounding can work with */
+const MIN_LEVELS = 5;
+
+/**
+ * @typedef {Object} SoundingFormat
+ * @property {string} id
+ * @property {string} name
+ * @property {(text: string) => number} detect - confidence from 0 (no) to 1 (certain)
+ * @property {(text: string, options: Object) => (import('./sounding.js').SoundingData|import('./sounding.js').SoundingData[])} parse
+ */
+
+/** @type {SoundingFormat[]} */
+const FORMATS = [];
+
+/**
+ * Add a reader to the registry. A later registration with the same id replaces the earlier one.
+ * @param {SoundingFormat} format
+ */
+export function registerFormat(format) {
+    const idx = FORMATS.findIndex(f => f.id === format.id);
+    if (idx >= 0) FORMATS.splice(idx, 1, format);
+    else FORMATS.push(format);
+}
+
+/**
+ * @returns {{id: string, name: string}[]}
+ */
+export function listFormats() {
+    return FORMATS.map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Score every registered format against the text, best match first.
+ * @returns {{format: SoundingFormat, score: number}[]}
+ */
+export function detectFormats(text) {
+    return FORMATS
+        .map(format => ({ format, score: safeScore(format, text) }))
+        .filter(c => c.score > 0)
+        .sort((a, b) => b.score - a.score);
+}
+
+function safeScore(format, text) {
+    try {
+        return format.detect(text) || 0;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Read sounding text in any registered format.
+ *
+ * Candidates are tried from most to least confident; the first one that
+ * yields a usable profile wins. If none does, the thrown Error lists every
+ * candidate and why it was rejected.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.station] - display name, overrides the file's
+ * @param {string} [options.time]    - display time, overrides the file's
+ * @param {string} [options.format]  - force a format id instead of detecting
+ * @param {import('./units.js').InputUnits} [options.units] - units of a table whose header doesn't declare them
+ * @returns {{format: {id: string, name: string}, columns: Object<string, string>, soundings: import('./sounding.js').SoundingData[]}}
+ */
+export function readSounding(text, options = {}) {
+    if (!text || text.trim().length === 0) {
+        throw new Error('The sounding text is empty.');
+    }
+
+    let candidates;
+    if (options.format) {
+        const forced = FORMATS.find(f => f.id === options.format);
+        if (!forced) throw new Error(`Unknown sounding format "${options.format}".`);
+        candidates = [{ format: forced, score: 1 }];
+    } else {
+        candidates = detectFormats(text);
+    }
+
+    if (candidates.length === 0) {
+        throw new Error(
+            'Unrecognized sounding format. Expected one of: ' +
+            FORMATS.map(f => f.name).join(', ') +
+            '. Tables need a header row naming at least pressure, height and temperature columns.'
+        );
+    }
+
+    const rejected = [];
+    for (const { format } of candidates) {
+        let result;
+        try {
+            result = format.parse(text, options);
+        } catch (err) {
+            rejected.push(`${format.name}: ${err.message}`);
+            continue;
+        }
+
+        const soundings = (Array.isArray(result) ? result : [result])
+            .filter(s => s.levels.length >= MIN_LEVELS);
+        if (soundings.length === 0) {
+            const counts = (Array.isArray(result) ? result : [result]).map(s => s.levels.length);
+            const found = counts.length === 0 ? 'no soundings' : `${Math.max(...counts)} usable level(s)`;
+            rejected.push(`${format.name}: found ${found}, need at least ${MIN_LEVELS}`);
+            continue;
+        }
+
+        for (const s of soundings) {
+            if (options.station) s.station = options.station;
+            if (options.time && soundings.length === 1) s.time = options.time;
+            s.source = { ...(s.source || {}), format: format.id };
+        }
+
+        return {
+            format: { id: format.id, name: format.name },
+            columns: soundings[0].source?.columns || {},
+            soundings,
+        };
+    }
+
+    throw new Error(`Could not read the sounding.\n${rejected.map(r => `• ${r}`).join('\n')}`);
+}
+
+// ---- Built-in formats ----
+
+registerFormat({
+    id: 'spc-raw',
+    name: 'SHARPpy / SPC %RAW%',
+    detect: text => (/^\s*%RAW%/m.test(text) ? 1 : 0),
+    parse: text => parseSharppy(text),
+});
+
+registerFormat({
+    id: 'bufkit',
+    name: 'BUFKIT',
+    detect: text => (isBufkit(text) ? 1 : 0),
+    parse: text => parseBufkit(text),
+});
+
+registerFormat({
+    id: 'igra2',
+    name: 'IGRA2',
+    detect: text => (isIgra(text) ? 0.95 : 0),
+    parse: (text, options) => parseIgra(text, options),
+});
+
+registerFormat({
+    id: 'wmo-temp',
+    name: 'WMO TEMP (TTAA/TTBB/PPBB)',
+    detect: text => (isWmoTemp(text) ? 0.95 : 0),
+    parse: (text, options) => parseWmoTemp(text, options),
+});
+
+registerFormat({
+    id: 'uwyo-list',
+    name: 'UWyo TEXT:LIST',
+    detect: (text) => {
+        const { headerIndex, framed } = tableLayout(text.split('\n').filter(l => l.trim().length > 0));
+        return headerIndex >= 0 && framed ? 0.9 : 0;
+    },
+    parse: (text, options) => parseSounding(text, 'Unknown', '', { columns: 'fixed', units: options.units }),
+});
+
+registerFormat({
+    id: 'table',
+    name: 'Whitespace table (PRES HGHT TEMP DWPT DRCT SKNT)',
+    detect: (text) => {
+        const lines = text.split('\n').filter(l => l.trim().length > 0);
+        const { headerIndex } = tableLayout(lines);
+        // Delimited headers are better served by the CSV reader, which keeps empty cells
+        if (headerIndex >= 0) return /[,;\t|]/.test(lines[headerIndex]) ? 0.5 : 0.7;
+        // Headerless: lines of at least six numbers in the default column order
+        const numericRows = text.split('\n').filter(l => /^\s*-?\d+(\.\d+)?(\s+-?\d+(\.\d+)?){5,}\s*$/.test(l));
+        return numericRows.length >= MIN_LEVELS ? 0.3 : 0;
+    },
+    parse: (text, options) => parseSounding(text, 'Unknown', '', { columns: 'whitespace', units: options.units }),
+});
+
+registerFormat({
+    id: 'csv',
+    name: 'Delimited table (CSV/TSV)',
+    detect: text => (findCsvHeader(text) ? 0.6 : 0),
+    parse: (text, options) => parseCsv(text, 'Unknown', '', { units: options.units }),
+});
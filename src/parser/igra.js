@@ -0,0 +1,233 @@
+/**
+ * IGRA2 Archive Reader
+ * Pulls soundings out of NOAA Integrated Global Radiosonde Archive v2 station files
+ */
+
+import { formatSoundingTime } from './sounding.js';
+import { resolveStation } from '../data/stations.js';
+import { fillHeights, pressureAtMsl } from './profile.js';
+import { toKnots } from './units.js';
+
+/** IGRA2 value removed by quality assurance */
+const QC_REMOVED = -8888;
+const MISSING = -9999;
+
+/**
+ * @typedef {Object} IgraEntry
+ * @property {number} index       - position of the sounding in the file
+ * @property {string} stationId   - IGRA station id, e.g. USM00072357
+ * @property {string} observationTime - ISO 8601 (UTC)
+ * @property {number} numLevels
+ * @property {number|null} latitude
+ * @property {number|null} longitude
+ */
+
+/**
+ * True if the text looks like an IGRA2 data file (`#` header records).
+ */
+export function isIgra(text) {
+    return /^#[A-Z]{2}[A-Z0-9]\d{8} \d{4} \d{2} \d{2} \d{2}/m.test(text);
+}
+
+/**
+ * List the soundings in an IGRA2 file without decoding their levels.
+ * @param {string} text
+ * @returns {IgraEntry[]}
+ */
+export function listIgraSoundings(text) {
+    return scanHeaders(splitLines(text)).map(({ line, ...entry }) => entry);
+}
+
+/**
+ * Decode soundings from an IGRA2 file.
+ *
+ * Select a single sounding with `index`, or a time window with `from`/`to`
+ * (inclusive; ISO strings or Dates). With no selection every sounding is decoded.
+ *
+ * Values IGRA removed during QC (-8888) are treated as missing. With
+ * `strictFlags` (the default), pressure, height or temperature carrying a
+ * flag other than 'A' or 'B' (passed IGRA's climatological checks) is dropped
+ * as well; a blank flag means the value was not checked and is kept, which is
+ * the case for the pressure of every level above the surface. The number of
+ * data records that lost a value this way is reported as `source.flaggedLevels`.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.index]
+ * @param {string|Date} [options.from]
+ * @param {string|Date} [options.to]
+ * @param {boolean} [options.strictFlags=true]
+ * @returns {import('./sounding.js').SoundingData[]}
+ */
+export function parseIgra(text, options = {}) {
+    const { index, from, to, strictFlags = true } = options;
+    const lines = splitLines(text);
+    const headers = scanHeaders(lines);
+
+    const fromMs = from != null ? new Date(from).getTime() : -Infinity;
+    const toMs = to != null ? new Date(to).getTime() : Infinity;
+
+    const selected = headers.filter(h => {
+        if (index != null) return h.index === index;
+        const t = new Date(h.observationTime).getTime();
+        return t >= fromMs && t <= toMs;
+    });
+
+    return selected
+        .map(h => decodeSounding(h, lines.slice(h.line + 1, h.line + 1 + h.numLevels), strictFlags))
+        .filter(s => s.levels.length > 0);
+}
+
+function splitLines(text) {
+    return text.replace(/\r/g, '').split('\n');
+}
+
+/**
+ * Find and decode every `#` header record.
+ */
+function scanHeaders(lines) {
+    const headers = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line[0] !== '#') continue;
+
+        const year = line.slice(13, 17);
+        const month = line.slice(18, 20);
+        const day = line.slice(21, 23);
+        let hour = line.slice(24, 26);
+        let minute = '00';
+        const reltime = line.slice(27, 31);
+
+        // Nominal hour 99 = missing; fall back to the release time (HHMM)
+        if (hour === '99' && /^\d{4}$/.test(reltime) && !reltime.startsWith('99')) {
+            hour = reltime.slice(0, 2);
+            minute = reltime.slice(2, 4) === '99' ? '00' : reltime.slice(2, 4);
+        }
+
+        const lat = parseInt(line.slice(55, 62), 10);
+        const lon = parseInt(line.slice(63, 71), 10);
+
+        headers.push({
+            index: headers.length,
+            line: i,
+            stationId: line.slice(1, 12).trim(),
+            observationTime: `${year}-${month}-${day}T${hour}:${minute}Z`,
+            numLevels: parseInt(line.slice(32, 36), 10) || 0,
+            latitude: isNaN(lat) || lat === MISSING ? null : lat / 10000,
+            longitude: isNaN(lon) || lon === MISSING ? null : lon / 10000,
+        });
+    }
+    return headers;
+}
+
+/**
+ * Read a fixed-width integer field, honoring IGRA missing/QC-removed codes and
+ * (optionally) its flag character.
+ */
+function field(line, start, end, flagPos, strictFlags) {
+    const v = rawField(line, start, end);
+    if (v === null || (strictFlags && failsChecks(line, flagPos))) return null;
+    return v;
+}
+
+function rawField(line, start, end) {
+    const raw = line.slice(start, end).trim();
+    if (raw === '') return null;
+    const v = parseInt(raw, 10);
+    if (isNaN(v) || v === MISSING || v === QC_REMOVED) return null;
+    return v;
+}
+
+/**
+ * True if the value before flagPos carries a flag other than a pass of IGRA's
+ * climatological checks. Blank means not checked.
+ */
+function failsChecks(line, flagPos) {
+    const flag = flagPos != null ? (line[flagPos] || ' ') : ' ';
+    return flag !== ' ' && flag !== 'A' && flag !== 'B';
+}
+
+/** Pressure, height and temperature fields with their flag positions */
+const FLAGGED_FIELDS = [[9, 15, 15], [16, 21, 21], [22, 27, 27]];
+
+/**
+ * Decode one sounding's data records into a SoundingData.
+ */
+function decodeSounding(header, records, strictFlags) {
+    const levels = [];
+    const windsByZ = [];
+    let surfaceP = null;
+    let surfaceH = null;
+    let flaggedLevels = 0;
+
+    for (const line of records) {
+        if (line.length < 29 || line[0] === '#') continue;
+        if (strictFlags && FLAGGED_FIELDS.some(([start, end, flagPos]) => rawField(line, start, end) !== null && failsChecks(line, flagPos))) {
+            flaggedLevels++;
+        }
+
+        const isSurface = line[1] === '1';
+        const press = field(line, 9, 15, 15, strictFlags);     // Pa
+        const gph = field(line, 16, 21, 21, strictFlags);      // m
+        const temp = field(line, 22, 27, 27, strictFlags);     // tenths °C
+        const dpdp = field(line, 34, 39, null, false);         // tenths °C
+        const wdir = field(line, 40, 45, null, false);         // degrees
+        const wspd = field(line, 46, 51, null, false);         // tenths m/s
+
+        const t = temp === null ? null : temp / 10;
+        const td = t === null || dpdp === null ? null : Math.round((t - dpdp / 10) * 10) / 10;
+        const hasWind = wdir !== null && wspd !== null;
+        const windDir = hasWind ? wdir : null;
+        const windSpd = hasWind ? Math.round(toKnots(wspd / 10, 'm/s')) : null;
+
+        if (press === null) {
+            // Non-pressure level (winds by height) — placed in pressure later
+            if (gph !== null && hasWind) windsByZ.push({ height: gph, windDir, windSpd });
+            continue;
+        }
+
+        const pressure = press / 100;
+        if (isSurface) {
+            surfaceP = pressure;
+            surfaceH = gph;
+        }
+        if (t === null && !hasWind) continue;
+
+        levels.push({ pressure, height: gph, temp: t, dewpoint: td, windDir, windSpd });
+    }
+
+    let profile = levels
+        .filter(l => surfaceP == null || l.pressure <= surfaceP)
+        .sort((a, b) => b.pressure - a.pressure);
+
+    fillHeights(profile);
+
+    for (const w of windsByZ) {
+        const p = pressureAtMsl(profile, w.height);
+        if (p == null || profile.some(l => Math.abs(l.pressure - p) < 0.5)) continue;
+        profile.push({ pressure: Math.round(p * 10) / 10, height: w.height, temp: null, dewpoint: null, windDir: w.windDir, windSpd: w.windSpd });
+    }
+    profile = profile.sort((a, b) => b.pressure - a.pressure);
+
+    const wmo = header.stationId.slice(-5);
+    const resolved = /^\d{5}$/.test(wmo) ? resolveStation(wmo) : null;
+
+    return {
+        station: resolved ? resolved.name : header.stationId,
+        time: formatSoundingTime(header.observationTime),
+        levels: profile,
+        meta: {
+            stationId: resolved && resolved.code !== wmo ? resolved.code : header.stationId,
+            stationNumber: resolved ? wmo : null,
+            observationTime: header.observationTime,
+            latitude: header.latitude,
+            longitude: header.longitude,
+            elevation: surfaceH ?? (profile.length > 0 ? profile[0].height : null),
+            indices: {},
+        },
+        source: {
+            columns: { pressure: 'PRESS', height: 'GPH', temp: 'TEMP', dewpoint: 'TEMP - DPDP', windDir: 'WDIR', windSpd: 'WSPD' },
+            flaggedLevels,
+        },
+    };
+}
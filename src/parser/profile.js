@@ -0,0 +1,75 @@
+/**
+ * Profile Assembly Helpers
+ * Shared by decoders whose sources report some levels without a height
+ * (WMO TEMP, IGRA2) or some winds by height instead of pressure
+ */
+
+const Rd = 287.04;
+const g = 9.80665;
+
+/**
+ * Fill in missing heights hypsometrically, anchored to the levels that do report
+ * a height (e.g. mandatory levels) so the result stays consistent with them.
+ * Expects surface-first levels; modifies them in place.
+ */
+export function fillHeights(levels) {
+    if (levels.length === 0) return;
+
+    // Relative heights from hypsometric integration up from the lowest level
+    const tempAt = (i) => {
+        if (levels[i].temp != null) return levels[i].temp;
+        let lo = i - 1, hi = i + 1;
+        while (lo >= 0 && levels[lo].temp == null) lo--;
+        while (hi < levels.length && levels[hi].temp == null) hi++;
+        if (lo < 0 && hi >= levels.length) return 0;
+        if (lo < 0) return levels[hi].temp;
+        if (hi >= levels.length) return levels[lo].temp;
+        const frac = Math.log(levels[i].pressure / levels[lo].pressure) / Math.log(levels[hi].pressure / levels[lo].pressure);
+        return levels[lo].temp + frac * (levels[hi].temp - levels[lo].temp);
+    };
+
+    const rel = [0];
+    for (let i = 1; i < levels.length; i++) {
+        const tMean = (tempAt(i - 1) + tempAt(i)) / 2 + 273.15;
+        rel.push(rel[i - 1] + (Rd * tMean / g) * Math.log(levels[i - 1].pressure / levels[i].pressure));
+    }
+
+    const known = levels.map((l, i) => (l.height != null ? i : -1)).filter(i => i >= 0);
+    if (known.length === 0) {
+        // Nothing to anchor to: heights are relative to the lowest level
+        levels.forEach((l, i) => { l.height = Math.round(rel[i]); });
+        return;
+    }
+
+    for (let i = 0; i < levels.length; i++) {
+        if (levels[i].height != null) continue;
+        const below = [...known].reverse().find(k => k < i);
+        const above = known.find(k => k > i);
+
+        let h;
+        if (below != null && above != null) {
+            const span = rel[above] - rel[below];
+            const frac = span === 0 ? 0 : (rel[i] - rel[below]) / span;
+            h = levels[below].height + frac * (levels[above].height - levels[below].height);
+        } else if (below != null) {
+            h = levels[below].height + (rel[i] - rel[below]);
+        } else {
+            h = levels[above].height - (rel[above] - rel[i]);
+        }
+        levels[i].height = Math.round(h);
+    }
+}
+
+/**
+ * Pressure at a height (m MSL) by log-pressure interpolation.
+ */
+export function pressureAtMsl(levels, z) {
+    for (let i = 0; i < levels.length - 1; i++) {
+        const a = levels[i], b = levels[i + 1];
+        if (a.height <= z && b.height >= z) {
+            const frac = b.height === a.height ? 0 : (z - a.height) / (b.height - a.height);
+            return Math.exp(Math.log(a.pressure) + frac * (Math.log(b.pressure) - Math.log(a.pressure)));
+        }
+    }
+    return null;
+}
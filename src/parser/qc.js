@@ -0,0 +1,238 @@
+/**
+ * Sounding Quality Control
+ * Standard consistency checks run between parsing and analysis. Suspect levels
+ * are either repaired or flagged, and every finding lands in a QC report
+ */
+
+import { mixingRatio } from '../calc/thermo.js';
+
+const Rd = 287.04;
+const g = 9.80665;
+
+/** Levels in the lowest this many meters may legitimately be superadiabatic (daytime surface layer) */
+const SURFACE_LAYER_M = 500;
+/** Potential temperature drop (K) across a layer aloft before it counts as superadiabatic */
+const THETA_DROP_K = 1;
+/** Allowed mismatch between reported and hypsometric layer thickness: meters + fraction of the layer */
+const HYDROSTATIC_TOL_M = 20;
+const HYDROSTATIC_TOL_FRAC = 0.03;
+/** A wind speed this far (kt) above both neighbors is a spike */
+const WIND_SPIKE_KT = 30;
+
+/**
+ * @typedef {Object} QcIssue
+ * @property {'duplicate-pressure'|'dewpoint-exceeds-temp'|'superadiabatic'|'hydrostatic'|'wind-spike'} check
+ * @property {number} pressure - hPa of the suspect level
+ * @property {'flagged'|'repaired'|'removed'} action
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} QcReport
+ * @property {QcIssue[]} issues - in pressure order, surface first
+ * @property {{flagged: number, repaired: number, removed: number}} counts
+ */
+
+/** Display names for each check */
+export const QC_CHECKS = {
+    'duplicate-pressure': 'Duplicate pressure',
+    'dewpoint-exceeds-temp': 'Dewpoint above temperature',
+    'superadiabatic': 'Superadiabatic layer aloft',
+    'hydrostatic': 'Hydrostatically inconsistent height',
+    'wind-spike': 'Wind spike',
+};
+
+/**
+ * Run the QC checks on a surface-first profile.
+ *
+ * Duplicate pressures are merged, dewpoints above the temperature are capped
+ * at the temperature, and heights that disagree with the hypsometric
+ * thickness from the level below are recomputed. Superadiabatic layers aloft
+ * and wind spikes are only flagged: both occur in real data.
+ *
+ * The input levels are not modified.
+ *
+ * @param {import('./sounding.js').SoundingLevel[]} input
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=true] - false to flag everything and change nothing
+ * @returns {{levels: import('./sounding.js').SoundingLevel[], report: QcReport}}
+ */
+export function qualityControl(input, options = {}) {
+    const { repair = true } = options;
+    const issues = [];
+    const add = (check, pressure, action, message) => {
+        issues.push({ check, pressure, action: repair ? action : 'flagged', message });
+    };
+
+    let levels = input.map(l => ({ ...l }));
+
+    levels = checkDuplicates(levels, add, repair);
+    checkDewpoints(levels, add, repair);
+    checkHydrostatic(levels, add, repair);
+    checkSuperadiabatic(levels, add);
+    checkWindSpikes(levels, add);
+
+    issues.sort((a, b) => b.pressure - a.pressure);
+    const counts = { flagged: 0, repaired: 0, removed: 0 };
+    for (const i of issues) counts[i.action]++;
+
+    return { levels, report: { issues, counts } };
+}
+
+/**
+ * Merge levels that share a pressure, keeping the first and filling its gaps from the rest.
+ */
+function checkDuplicates(levels, add, repair) {
+    const out = [];
+    for (const l of levels) {
+        const prev = out[out.length - 1];
+        if (!prev || Math.abs(prev.pressure - l.pressure) >= 0.05) {
+            out.push(l);
+            continue;
+        }
+
+        const conflict = ['temp', 'dewpoint', 'windSpd']
+            .some(f => prev[f] != null && l[f] != null && Math.abs(prev[f] - l[f]) > 0.5);
+        add('duplicate-pressure', l.pressure, 'removed',
+            `Level repeated at ${l.pressure} hPa${conflict ? ' with different values' : ''}; ${repair ? 'kept the first' : 'both kept'}.`);
+
+        if (!repair) {
+            out.push(l);
+            continue;
+        }
+        for (const f of ['height', 'temp', 'dewpoint']) {
+            if (prev[f] == null && l[f] != null) prev[f] = l[f];
+        }
+        if (prev.windSpd == null && l.windSpd != null) {
+            prev.windDir = l.windDir;
+            prev.windSpd = l.windSpd;
+        }
+    }
+    return out;
+}
+
+function checkDewpoints(levels, add, repair) {
+    for (const l of levels) {
+        if (l.temp == null || l.dewpoint == null || l.dewpoint <= l.temp) continue;
+        add('dewpoint-exceeds-temp', l.pressure, 'repaired',
+            `Dewpoint ${l.dewpoint.toFixed(1)}°C above temperature ${l.temp.toFixed(1)}°C${repair ? '; set to saturation' : ''}.`);
+        if (repair) l.dewpoint = l.temp;
+    }
+}
+
+/**
+ * Compare each layer's reported thickness with the hypsometric thickness from
+ * its mean virtual temperature. A single bad height throws off the layers on
+ * both sides in opposite directions; that level is the one recomputed.
+ * Errors of the same sign in consecutive layers (a warm or cold bias in the
+ * temperatures, or a drifting height sensor) are left alone.
+ */
+function checkHydrostatic(levels, add, repair) {
+    const idx = levels.map((l, i) => (l.height != null ? i : -1)).filter(i => i >= 0);
+    if (idx.length < 3) return;
+
+    // Residual (reported - hypsometric thickness) of the layer ending at idx[k]
+    const layers = [null];
+    for (let k = 1; k < idx.length; k++) {
+        const a = levels[idx[k - 1]], b = levels[idx[k]];
+        const tvA = virtualTempAt(levels, idx[k - 1]);
+        const tvB = virtualTempAt(levels, idx[k]);
+        if (tvA == null || tvB == null) {
+            layers.push(null);
+            continue;
+        }
+        const dz = (Rd * ((tvA + tvB) / 2) / g) * Math.log(a.pressure / b.pressure);
+        const residual = (b.height - a.height) - dz;
+        layers.push({ dz, residual, bad: Math.abs(residual) > HYDROSTATIC_TOL_M + HYDROSTATIC_TOL_FRAC * dz });
+    }
+
+    for (let k = 1; k < idx.length; k++) {
+        const below = layers[k], above = layers[k + 1];
+        if (!below?.bad) continue;
+
+        let expected;
+        if (above) {
+            if (!above.bad || Math.sign(above.residual) === Math.sign(below.residual)) continue;
+            const fromBelow = levels[idx[k - 1]].height + below.dz;
+            const fromAbove = levels[idx[k + 1]].height - above.dz;
+            expected = (fromBelow + fromAbove) / 2;
+        } else {
+            // Top level: only judged when the layer under it checks out
+            if (k < 2 || layers[k - 1]?.bad !== false) continue;
+            expected = levels[idx[k - 1]].height + below.dz;
+        }
+
+        const l = levels[idx[k]];
+        add('hydrostatic', l.pressure, 'repaired',
+            `Height ${Math.round(l.height)} m at ${l.pressure} hPa is ${Math.round(Math.abs(l.height - expected))} m off the hypsometric height` +
+            `${repair ? `; recomputed as ${Math.round(expected)} m` : ''}.`);
+        if (repair) l.height = Math.round(expected);
+        if (above) above.bad = false; // the level above is fine once this one is fixed
+    }
+}
+
+function checkSuperadiabatic(levels, add) {
+    const withT = levels.filter(l => l.temp != null && l.height != null);
+    if (withT.length < 2) return;
+    const sfcH = levels[0].height;
+
+    for (let i = 1; i < withT.length; i++) {
+        const a = withT[i - 1], b = withT[i];
+        if (a.height - sfcH < SURFACE_LAYER_M) continue;
+        if (theta(b) >= theta(a) - THETA_DROP_K) continue;
+
+        const dz = b.height - a.height;
+        const lapse = dz > 0 ? ((a.temp - b.temp) / dz) * 1000 : null;
+        add('superadiabatic', b.pressure, 'flagged',
+            `Superadiabatic between ${a.pressure} and ${b.pressure} hPa` +
+            `${lapse != null ? ` (${lapse.toFixed(1)}°C/km)` : ''}, well above the surface layer.`);
+    }
+}
+
+function checkWindSpikes(levels, add) {
+    const winds = levels.filter(l => l.windSpd != null && l.windDir != null);
+    for (let i = 1; i < winds.length - 1; i++) {
+        const a = winds[i - 1], b = winds[i], c = winds[i + 1];
+
+        const excess = b.windSpd - Math.max(a.windSpd, c.windSpd);
+        if (excess > WIND_SPIKE_KT) {
+            add('wind-spike', b.pressure, 'flagged',
+                `${Math.round(b.windSpd)} kt at ${b.pressure} hPa is ${Math.round(excess)} kt faster than the levels on either side.`);
+            continue;
+        }
+
+        const turnsBack = angleDiff(b.windDir, a.windDir) > 90 && angleDiff(b.windDir, c.windDir) > 90;
+        if (turnsBack && angleDiff(a.windDir, c.windDir) < 45 && b.windSpd >= 15) {
+            add('wind-spike', b.pressure, 'flagged',
+                `Wind direction ${Math.round(b.windDir)}° at ${b.pressure} hPa reverses against the levels on either side.`);
+        }
+    }
+}
+
+function theta(l) {
+    return (l.temp + 273.15) * Math.pow(1000 / l.pressure, 0.2857);
+}
+
+function angleDiff(a, b) {
+    const d = Math.abs(a - b) % 360;
+    return d > 180 ? 360 - d : d;
+}
+
+/**
+ * Virtual temperature (K) at a level, interpolating temperature across levels that lack one.
+ */
+function virtualTempAt(levels, i) {
+    let t = levels[i].temp;
+    let td = levels[i].dewpoint;
+    if (t == null) {
+        let lo = i - 1, hi = i + 1;
+        while (lo >= 0 && levels[lo].temp == null) lo--;
+        while (hi < levels.length && levels[hi].temp == null) hi++;
+        if (lo < 0 || hi >= levels.length) return null;
+        const frac = Math.log(levels[i].pressure / levels[lo].pressure) / Math.log(levels[hi].pressure / levels[lo].pressure);
+        t = levels[lo].temp + frac * (levels[hi].temp - levels[lo].temp);
+        td = null;
+    }
+    const w = td != null ? mixingRatio(td, levels[i].pressure) / 1000 : 0;
+    return (t + 273.15) * (1 + 0.61 * w);
+}
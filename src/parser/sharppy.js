@@ -0,0 +1,148 @@
+/**
+ * SHARPpy / SPC Sounding Format
+ * Reads and writes `%TITLE% ... %RAW% ... %END%` files
+ */
+
+import { isMissing, parseObservationTime, formatSoundingTime } from './sounding.js';
+
+const MISSING = -9999;
+
+/**
+ * Parse a SHARPpy-format sounding.
+ *
+ * The title line after `%TITLE%` holds the station and a `YYMMDD/HHMM` time,
+ * e.g. ` OUN   990504/0000`. Each line between `%RAW%` and `%END%` is
+ * `PRES, HGHT, TEMP, DWPT, WDIR, WSPD` with -9999 for missing values.
+ *
+ * @param {string} text
+ * @param {string} [stationName]
+ * @param {string} [time]
+ * @returns {import('./sounding.js').SoundingData}
+ */
+export function parseSharppy(text, stationName = 'Unknown', time = '') {
+    const lines = text.replace(/\r/g, '').split('\n').map(l => l.trim());
+    const levels = [];
+
+    let section = null;
+    let title = null;
+
+    for (const line of lines) {
+        const marker = line.match(/^%(\w+)%/);
+        if (marker) {
+            section = marker[1].toUpperCase();
+            if (section === 'END') break;
+            continue;
+        }
+        if (line.length === 0) continue;
+
+        if (section === 'TITLE' && title === null) {
+            title = line;
+            continue;
+        }
+        if (section !== 'RAW') continue;
+
+        const nums = line.split(',').map(t => Number(t.trim()));
+        if (nums.length < 6) continue;
+
+        const [pres, hght, t, td, wdir, wspd] = nums.map(n => (isMissing(n) ? null : n));
+        if (pres === null || hght === null) continue;
+        if (pres < 50 || pres > 1100) continue;
+
+        const temp = t;
+        const dewpoint = temp === null ? null : td;
+        const hasWind = wdir !== null && wspd !== null;
+        if (temp === null && !hasWind) continue;
+
+        levels.push({
+            pressure: pres,
+            height: hght,
+            temp,
+            dewpoint,
+            windDir: hasWind ? wdir : null,
+            windSpd: hasWind ? wspd : null,
+        });
+    }
+
+    // Sort by pressure descending (surface first)
+    levels.sort((a, b) => b.pressure - a.pressure);
+
+    const { stationId, observationTime } = parseTitle(title);
+
+    return {
+        station: stationName !== 'Unknown' ? stationName : (stationId || stationName),
+        time: time || formatSoundingTime(observationTime),
+        levels,
+        meta: {
+            stationId,
+            stationNumber: null,
+            observationTime,
+            latitude: null,
+            longitude: null,
+            elevation: levels.length > 0 ? levels[0].height : null,
+            indices: {},
+        },
+        source: {
+            columns: { pressure: 'PRES', height: 'HGHT', temp: 'TEMP', dewpoint: 'DWPT', windDir: 'WDIR', windSpd: 'WSPD' },
+        },
+    };
+}
+
+/**
+ * Split a SHARPpy title line into station id and ISO observation time.
+ */
+function parseTitle(title) {
+    if (!title) return { stationId: null, observationTime: null };
+
+    const tokens = title.split(/\s+/);
+    const timeToken = tokens.find(t => /^\d{6}\/\d{4}$/.test(t));
+    const stationId = tokens.find(t => t !== timeToken) || null;
+
+    return {
+        stationId,
+        observationTime: timeToken ? parseObservationTime(timeToken) : null,
+    };
+}
+
+/**
+ * Serialize a sounding into SHARPpy `%TITLE%/%RAW%/%END%` text.
+ * Missing fields are written as -9999.
+ *
+ * @param {import('./sounding.js').SoundingData} data
+ * @returns {string}
+ */
+export function toSharppy(data) {
+    const station = (data.meta?.stationId || (data.station || 'UNKN').split(/[\s(]/)[0] || 'UNKN').toUpperCase();
+    const stamp = sharppyTimestamp(data.meta?.observationTime);
+
+    const fmt = (v, digits = 2) => (v == null || Number.isNaN(v) ? MISSING.toFixed(digits) : v.toFixed(digits)).padStart(10);
+
+    const rows = data.levels.map(l => [
+        fmt(l.pressure),
+        fmt(l.height),
+        fmt(l.temp),
+        fmt(l.dewpoint),
+        fmt(l.windDir),
+        fmt(l.windSpd),
+    ].join(','));
+
+    return [
+        '%TITLE%',
+        ` ${station}   ${stamp}`.trimEnd(),
+        '',
+        '   LEVEL       HGHT       TEMP       DWPT       WDIR       WSPD',
+        '-------------------------------------------------------------------',
+        '%RAW%',
+        ...rows,
+        '%END%',
+        '',
+    ].join('\n');
+}
+
+/**
+ * ISO 8601 time → SHARPpy `YYMMDD/HHMM`, or '' if not available.
+ */
+function sharppyTimestamp(iso) {
+    const m = typeof iso === 'string' && iso.match(/^\d{2}(\d{2})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+    if (!m) return '';
+    return `${m[1]}${m[2]}${m[3]}/${m[4]}${m[5]}`;
+}
@@ -3,14 +3,35 @@
  * Parses SPC/RAOB upper-air sounding text format
  */
 
+import { SOUNDING_PARAMETERS, SOURCE_FIELDS, parseUnit, isAglLabel, normalizeLevel, applyHeightReference } from './units.js';
+
 /**
  * @typedef {Object} SoundingLevel
  * @property {number} pressure  - hPa
- * @property {number} height    - meters AGL
- * @property {number} temp      - °C
- * @property {number} dewpoint  - °C
- * @property {number} windDir   - degrees
- * @property {number} windSpd   - knots
+ * @property {number} height    - meters MSL (AGL when the source gave AGL heights and no station elevation)
+ * @property {number|null} temp     - °C (null if missing)
+ * @property {number|null} dewpoint - °C (null if missing)
+ * @property {number|null} windDir  - degrees (null if missing)
+ * @property {number|null} windSpd  - knots (null if missing)
+ * @property {number} [mixingRatio] - g/kg (UWyo MIXR, when present)
+ * @property {number} [relHumidity] - % (UWyo RELH, when present)
+ * @property {number} [theta]       - K (UWyo THTA, when present)
+ * @property {number} [thetaE]      - K (UWyo THTE, when present)
+ * @property {number} [thetaV]      - K (UWyo THTV, when present)
+ */
+
+/**
+ * @typedef {Object} SoundingMeta
+ * @property {string|null} stationId       - ICAO/3-letter identifier
+ * @property {string|null} stationNumber   - WMO station number
+ * @property {string|null} observationTime - ISO 8601 (UTC) when parseable, raw text otherwise
+ * @property {number|null} latitude        - degrees north
+ * @property {number|null} longitude       - degrees east
+ * @property {number|null} elevation       - meters MSL
+ * @property {Object<string, number>} indices - indices reported by the data source (e.g. UWyo)
+ * @property {{pressure: number, temp: number}|null} [tropopause] - reported tropopause (TEMP messages)
+ * @property {{pressure: number, windDir: number, windSpd: number}|null} [maxWind] - reported max wind level (TEMP messages)
+ * @property {number|null} [forecastHour] - hours after model initialization (BUFKIT)
  */
 
 /**
@@ -18,41 +39,175 @@
  * @property {string} station
  * @property {string} time
  * @property {SoundingLevel[]} levels
+ * @property {SoundingMeta} meta
+ * @property {SoundingSource} [source]
+ */
+
+/**
+ * @typedef {Object} SoundingSource
+ * @property {string} [format]  - id of the reader that produced the data (set by readSounding)
+ * @property {Object<string, string>} columns - SoundingLevel field → source column label
+ * @property {Object<string, string>} [units]  - field → unit the source values were converted from
+ * @property {'msl'|'agl'} [heightReference]   - what the levels' heights are measured from
+ * @property {number} [flaggedLevels]          - data records that lost a value to the source's QC flags (IGRA2)
+ */
+
+/**
+ * UWyo "Station information and sounding indices" labels → meta/indices keys.
+ * Labels not listed here are kept in `indices` under a camelCased key.
+ */
+const STATION_INFO_FIELDS = {
+    'station identifier': 'stationId',
+    'station number': 'stationNumber',
+    'observation time': 'observationTime',
+    'station latitude': 'latitude',
+    'station longitude': 'longitude',
+    'station elevation': 'elevation',
+};
+
+const REPORTED_INDEX_FIELDS = {
+    'showalter index': 'showalter',
+    'lifted index': 'liftedIndex',
+    'lift computed using virtual temperature': 'liftedIndexVirtual',
+    'sweat index': 'sweat',
+    'k index': 'kIndex',
+    'cross totals index': 'crossTotals',
+    'vertical totals index': 'verticalTotals',
+    'totals totals index': 'totalTotals',
+    'convective available potential energy': 'cape',
+    'cape using virtual temperature': 'capeVirtual',
+    'convective inhibition': 'cin',
+    'cins using virtual temperature': 'cinVirtual',
+    'equilibrum level': 'elPressure',
+    'equilibrum level using virtual temperature': 'elPressureVirtual',
+    'level of free convection': 'lfcPressure',
+    'lfct using virtual temperature': 'lfcPressureVirtual',
+    'bulk richardson number': 'bulkRichardson',
+    'bulk richardson number using capv': 'bulkRichardsonVirtual',
+    'temp [k] of the lifted condensation level': 'lclTempK',
+    'pres [hpa] of the lifted condensation level': 'lclPressure',
+    'equivalent potential temp [k] of the lcl': 'lclThetaE',
+    'mean mixed layer potential temperature': 'mlTheta',
+    'mean mixed layer mixing ratio': 'mlMixingRatio',
+    '1000 hpa to 500 hpa thickness': 'thickness1000_500',
+    'precipitable water [mm] for entire sounding': 'pwMM',
+};
+
+/**
+ * Header tokens → level fields, in addition to the GEMPAK names in
+ * SOUNDING_PARAMETERS (whose units are implied by the name)
  */
+const HEADER_COLUMNS = {
+    PRESSURE: 'pressure',
+    HGT: 'height', HEIGHT: 'height',
+    TEMP: 'temp',
+    DWPT: 'dewpoint', TMDC: 'dewpoint',
+    WDIR: 'windDir',
+    WSPD: 'windSpd', KNOT: 'windSpd',
+    MIXR: 'mixingRatio',
+    THTA: 'theta',
+    THTE: 'thetaE',
+    THTV: 'thetaV',
+};
+
+/** Column order assumed when there is no header: PRES HGHT TEMP DWPT DRCT SKNT */
+const DEFAULT_ORDER = ['pressure', 'height', 'temp', 'dewpoint', 'windDir', 'windSpd'];
+
+/** Extra UWyo columns copied onto the level as-is */
+const DERIVED_FIELDS = ['mixingRatio', 'relHumidity', 'theta', 'thetaE', 'thetaV'];
+
+/** Sentinel values used by various archives for "missing" */
+const MISSING_VALUES = new Set([9999, -9999, 99999, -99999, 999.9, -999.9]);
+
+/**
+ * True if a parsed field value should be treated as missing.
+ */
+export function isMissing(v) {
+    return v == null || Number.isNaN(v) || MISSING_VALUES.has(v);
+}
 
 /**
  * Parse SPC-style sounding text into structured data.
  * Handles formats with header lines containing PRES, HGHT, TEMP, DWPT, DRCT, SKNT
  * and also plain numeric lines.
+ *
+ * When the header is framed by dashed separator lines (the UWyo TEXT:LIST layout),
+ * columns are read by their fixed-width positions so that blank fields become
+ * explicit nulls instead of shifting the remaining values left.
+ *
+ * Units come from, in order of precedence: `options.units`, a units row under
+ * the header (`hPa m C C ...`) or a bracketed unit on the token (`TEMP[K]`),
+ * the unit implied by a GEMPAK name (`TMPK`, `SPED`, `UWND`), and finally
+ * hPa / m / °C / knots. Values are converted as they are read. Plain numeric
+ * lines without a header are read as PRES HGHT TEMP DWPT DRCT SKNT, unless
+ * `options.units.humidity` / `options.units.wind` say the moisture column is
+ * a dewpoint depression or RH, or the wind columns are u/v components.
+ *
+ * @param {string} text
+ * @param {string} [stationName]
+ * @param {string} [time]
+ * @param {Object} [options]
+ * @param {'auto'|'fixed'|'whitespace'} [options.columns='auto'] - column splitting mode
+ * @param {import('./units.js').InputUnits} [options.units] - override the units the file declares
+ * @returns {SoundingData}
  */
-export function parseSounding(text, stationName = 'Unknown', time = '') {
-    const lines = text.trim().split('\n').map(l => l.trim()).filter(l => l.length > 0);
+export function parseSounding(text, stationName = 'Unknown', time = '', options = {}) {
+    const { columns = 'auto' } = options;
+
+    const rawLines = text.replace(/\r/g, '').split('\n').filter(l => l.trim().length > 0);
+    const lines = rawLines.map(l => l.trim());
     const levels = [];
 
     // Try to detect header to find column mapping
-    let headerIndex = -1;
+    const { headerIndex, framed } = tableLayout(rawLines);
     let colMap = null;
+    let headerTokens = null;
+    const fileUnits = {};
+    let heightReference = 'msl';
+    let unitsRowIndex = -1;
 
-    for (let i = 0; i < Math.min(lines.length, 20); i++) {
-        const upper = lines[i].toUpperCase();
-        if (upper.includes('PRES') && (upper.includes('HGHT') || upper.includes('HGT')) && upper.includes('TEMP')) {
-            headerIndex = i;
-            const tokens = upper.split(/\s+/);
-            colMap = {};
-            tokens.forEach((t, idx) => {
-                if (t === 'PRES' || t === 'PRESSURE') colMap.pres = idx;
-                else if (t === 'HGHT' || t === 'HGT' || t === 'HEIGHT') colMap.hght = idx;
-                else if (t === 'TEMP' || t === 'TMPC') colMap.temp = idx;
-                else if (t === 'DWPT' || t === 'TMDC' || t === 'DWPC') colMap.dwpt = idx;
-                else if (t === 'DRCT' || t === 'WDIR') colMap.drct = idx;
-                else if (t === 'SKNT' || t === 'WSPD' || t === 'KNOT') colMap.sknt = idx;
-            });
-            break;
-        }
+    if (headerIndex >= 0) {
+        headerTokens = lines[headerIndex].split(/\s+/);
+        const unitTokens = unitsRow(lines[headerIndex + 1], headerTokens.length);
+        if (unitTokens) unitsRowIndex = headerIndex + 1;
+
+        colMap = {};
+        headerTokens.forEach((token, idx) => {
+            const m = token.match(/^([^([]+)(?:[([](.+)[)\]])?$/);
+            if (!m) return;
+            const name = m[1].toUpperCase();
+            const param = SOUNDING_PARAMETERS[name];
+            const field = param ? param.field : HEADER_COLUMNS[name];
+            if (!field || colMap[field] != null) return;
+
+            colMap[field] = idx;
+            const declared = parseUnit(m[2]) || parseUnit(unitTokens?.[idx]);
+            const unit = declared || param?.unit;
+            if (unit) fileUnits[field] = unit;
+            if (field === 'height' && (isAglLabel(token) || isAglLabel(unitTokens?.[idx] || ''))) heightReference = 'agl';
+        });
     }
 
-    // Skip separator lines (dashes)
-    const startIdx = headerIndex >= 0 ? headerIndex + 1 : 0;
+    const { heightReference: userReference, elevation: userElevation, humidity, wind, ...userUnits } = options.units || {};
+    const units = { ...fileUnits, ...userUnits };
+    if (userReference) heightReference = userReference;
+
+    // Without a header, the user says what the moisture and wind columns hold
+    const order = DEFAULT_ORDER.map(field => {
+        if (field === 'dewpoint' && humidity) return humidity;
+        if (wind === 'uv' && field === 'windDir') return 'windU';
+        if (wind === 'uv' && field === 'windSpd') return 'windV';
+        return field;
+    });
+
+    // Fixed-width column spans, taken from the (right-aligned) header tokens
+    let spans = null;
+    if (headerIndex >= 0 && (columns === 'fixed' || (columns === 'auto' && framed))) {
+        spans = columnSpans(rawLines[headerIndex]);
+    }
+
+    // Skip separator lines (dashes) and the units row
+    const startIdx = headerIndex >= 0 ? Math.max(headerIndex, unitsRowIndex) + 1 : 0;
 
     for (let i = startIdx; i < lines.length; i++) {
         const line = lines[i];
@@ -62,42 +217,72 @@ export function parseSounding(text, stationName = 'Unknown', time = '') {
         if (/^[a-zA-Z]/.test(line) && !/^\d/.test(line)) continue;
         if (line.startsWith('%') || line.startsWith('#')) continue;
 
-        const tokens = line.split(/[\s,;]+/).filter(t => t.length > 0);
-        if (tokens.length < 6) continue;
+        let nums;
+        if (spans) {
+            nums = spans.map(([start, end]) => {
+                const field = rawLines[i].substring(start, end).trim();
+                return field === '' ? null : Number(field);
+            });
+            // Any non-numeric field means this isn't a data row
+            if (nums.some(n => n !== null && isNaN(n))) continue;
+        } else {
+            const tokens = line.split(/[\s,;]+/).filter(t => t.length > 0);
+            if (tokens.length < 6) continue;
+
+            // All tokens should be numbers
+            nums = tokens.map(Number);
+            if (nums.some(n => isNaN(n))) continue;
+        }
 
-        // All tokens should be numbers
-        const nums = tokens.map(Number);
-        if (nums.some(n => isNaN(n))) continue;
+        const col = (field) => {
+            const idx = colMap ? colMap[field] : order.indexOf(field);
+            const v = idx != null && idx >= 0 ? nums[idx] : null;
+            return isMissing(v) ? null : v;
+        };
 
-        let pres, hght, temp, dwpt, drct, sknt;
+        const raw = {};
+        for (const field of [...DEFAULT_ORDER, 'dewpointDepression', 'relHumidity', 'windU', 'windV']) {
+            raw[field] = col(field);
+        }
+        const converted = normalizeLevel(raw, units);
+        const pres = converted.pressure;
+        const hght = converted.height;
+        let temp = converted.temp;
+        let dwpt = converted.dewpoint;
+        let drct = converted.windDir;
+        let sknt = converted.windSpd;
 
-        if (colMap) {
-            pres = nums[colMap.pres ?? 0];
-            hght = nums[colMap.hght ?? 1];
-            temp = nums[colMap.temp ?? 2];
-            dwpt = nums[colMap.dwpt ?? 3];
-            drct = nums[colMap.drct ?? 4];
-            sknt = nums[colMap.sknt ?? 5];
-        } else {
-            // Default column order: PRES HGHT TEMP DWPT DRCT SKNT
-            [pres, hght, temp, dwpt, drct, sknt] = nums;
+        // Sanity checks — pressure and height are required, the rest may be missing
+        if (pres === null || pres < 50 || pres > 1100) continue;
+        if (hght === null) continue;
+        if (temp !== null && (temp < -100 || temp > 60)) temp = null;
+        if (dwpt !== null && (dwpt < -100 || dwpt > 60)) dwpt = null;
+        if (temp === null) dwpt = null;
+        if (drct === null || sknt === null || drct < 0 || drct > 360 || sknt < 0) {
+            drct = null;
+            sknt = null;
         }
 
-        // Sanity checks
-        if (pres < 50 || pres > 1100) continue;
-        if (temp < -100 || temp > 60) continue;
-        if (dwpt < -100 || dwpt > 60) continue;
-        // Some datasets use 9999 for missing
-        if (temp > 9990 || dwpt > 9990) continue;
+        // A level with nothing but pressure/height (e.g. below-ground mandatory level) is useless
+        if (temp === null && sknt === null) continue;
 
-        levels.push({
+        const level = {
             pressure: pres,
             height: hght,
             temp,
             dewpoint: dwpt,
             windDir: drct,
             windSpd: sknt,
-        });
+        };
+
+        // Derived columns from the full UWyo TEXT:LIST table
+        if (colMap) {
+            for (const field of DERIVED_FIELDS) {
+                if (colMap[field] != null) level[field] = col(field);
+            }
+        }
+
+        levels.push(level);
     }
 
     // Sort by pressure descending (surface first)
@@ -121,9 +306,154 @@ export function parseSounding(text, stationName = 'Unknown', time = '') {
         }
     }
 
+    const meta = parseStationInfo(lines);
+    if (parsedStation === 'Unknown' && meta.stationId) {
+        parsedStation = meta.stationId;
+    }
+
+    if (userElevation != null) meta.elevation = userElevation;
+    if (applyHeightReference(levels, heightReference, meta.elevation)) {
+        heightReference = 'msl';
+    }
+    if (meta.elevation == null && heightReference === 'msl' && levels.length > 0) {
+        meta.elevation = levels[0].height;
+    }
+
+    // Report which source column fed each field
+    const reported = {};
+    for (const [name, fields] of Object.entries(SOURCE_FIELDS)) {
+        const field = fields.find(f => colMap ? colMap[f] != null : order.includes(f));
+        if (!field) continue;
+        const idx = colMap ? colMap[field] : order.indexOf(field);
+        reported[name] = headerTokens && headerTokens[idx] ? headerTokens[idx] : `column ${idx + 1}`;
+    }
+
     return {
         station: parsedStation,
         time: parsedTime,
         levels,
+        meta,
+        source: { columns: reported, units, heightReference },
+    };
+}
+
+/**
+ * The tokens of a units row (e.g. UWyo's `hPa m C C % g/kg deg knot K K K`),
+ * or null if the line isn't one.
+ */
+function unitsRow(line, count) {
+    if (!line) return null;
+    const tokens = line.split(/\s+/);
+    if (tokens.length !== count) return null;
+    if (tokens.some(t => !isNaN(Number(t)))) return null;
+    return tokens.some(t => parseUnit(t)) ? tokens : null;
+}
+
+/**
+ * Locate a PRES/HGHT/TEMP header line (or its GEMPAK spellings such as HGFT
+ * and TMPK) and whether it is framed by dashed separator lines (the UWyo
+ * TEXT:LIST layout).
+ * @param {string[]} rawLines - non-empty, untrimmed lines
+ * @returns {{headerIndex: number, framed: boolean}}
+ */
+export function tableLayout(rawLines) {
+    for (let i = 0; i < Math.min(rawLines.length, 20); i++) {
+        const upper = rawLines[i].toUpperCase();
+        if (upper.includes('PRES') && /HGHT|HGT|HGFT|HEIGHT/.test(upper) && /TEMP|TMP[CKF]/.test(upper)) {
+            const framed = rawLines
+                .slice(Math.max(0, i - 1), i + 4)
+                .some(l => /^\s*-{10,}\s*$/.test(l));
+            return { headerIndex: i, framed };
+        }
+    }
+    return { headerIndex: -1, framed: false };
+}
+
+/**
+ * Parse the UWyo "Station information and sounding indices" block.
+ * Lines look like `          Station elevation: 357.0`.
+ * @param {string[]} lines - trimmed, non-empty lines of the raw text
+ * @returns {SoundingMeta}
+ */
+export function parseStationInfo(lines) {
+    const meta = {
+        stationId: null,
+        stationNumber: null,
+        observationTime: null,
+        latitude: null,
+        longitude: null,
+        elevation: null,
+        indices: {},
     };
+
+    for (const line of lines) {
+        const m = line.match(/^([A-Za-z0-9][^:]*?):\s*(\S+)\s*$/);
+        if (!m) continue;
+
+        const label = m[1].trim().toLowerCase().replace(/\s+/g, ' ');
+        const value = m[2];
+        const num = Number(value);
+
+        const infoKey = STATION_INFO_FIELDS[label];
+        if (infoKey) {
+            if (infoKey === 'stationId' || infoKey === 'stationNumber') meta[infoKey] = value;
+            else if (infoKey === 'observationTime') meta.observationTime = parseObservationTime(value);
+            else if (!isNaN(num)) meta[infoKey] = num;
+            continue;
+        }
+
+        // Anything else in the block must be a numeric index
+        if (isNaN(num)) continue;
+        const indexKey = REPORTED_INDEX_FIELDS[label] || camelCase(label);
+        meta.indices[indexKey] = num;
+    }
+
+    return meta;
+}
+
+/**
+ * Convert a UWyo/SHARPpy observation time (`YYMMDD/HHMM`) into an ISO 8601 string.
+ * Returns the input unchanged if it doesn't match that pattern.
+ */
+export function parseObservationTime(value) {
+    const m = value.match(/^(\d{2})(\d{2})(\d{2})\/(\d{2})(\d{2})$/);
+    if (!m) return value;
+    const yy = parseInt(m[1], 10);
+    const year = yy < 50 ? 2000 + yy : 1900 + yy;
+    return `${year}-${m[2]}-${m[3]}T${m[4]}:${m[5]}Z`;
+}
+
+/**
+ * Column [start, end) character spans from a header line whose labels are
+ * right-aligned over their data, as in the UWyo TEXT:LIST table.
+ */
+function columnSpans(headerLine) {
+    const spans = [];
+    let prevEnd = 0;
+    for (const m of headerLine.matchAll(/\S+/g)) {
+        const end = m.index + m[0].length;
+        spans.push([prevEnd, end]);
+        prevEnd = end;
+    }
+    return spans;
+}
+
+/**
+ * Format an ISO 8601 time as the display string used throughout the app, e.g. `00Z 04 May 1999`.
+ * Returns the input unchanged if it isn't an ISO time.
+ */
+export function formatSoundingTime(iso) {
+    const m = typeof iso === 'string' && iso.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+    if (!m) return iso || '';
+    const month = MONTHS[parseInt(m[2], 10) - 1] || m[2];
+    const minutes = m[5] === '00' ? '' : m[5];
+    return `${m[4]}${minutes}Z ${m[3]} ${month} ${m[1]}`;
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function camelCase(label) {
+    return label
+        .replace(/[^a-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''))
+        .replace(/^[A-Z]/, c => c.toLowerCase());
 }
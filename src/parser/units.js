@@ -0,0 +1,234 @@
+/**
+ * Unit Handling for Sounding Input
+ * Recognizes the units a file (or the user) declares and converts every level
+ * to the app's working units: hPa, meters MSL, °C and knots
+ */
+
+/**
+ * @typedef {Object} InputUnits
+ * @property {string} [pressure='hPa']   - hPa, mb, Pa, kPa
+ * @property {string} [height='m']       - m, km, ft
+ * @property {string} [temp='C']         - C, K, F
+ * @property {string} [dewpoint]         - C, K, F (defaults to `temp`)
+ * @property {string} [windSpd='kt']     - kt, m/s, mph, km/h
+ * @property {string} [dewpointDepression] - C, K, F (defaults to `temp`)
+ * @property {string} [windU]            - u component speed unit (defaults to `windSpd`)
+ * @property {string} [windV]            - v component speed unit (defaults to `windSpd`)
+ * @property {'msl'|'agl'} [heightReference='msl']
+ * @property {number} [elevation]        - station elevation (m MSL) for AGL heights
+ * @property {'dewpoint'|'dewpointDepression'|'relHumidity'} [humidity='dewpoint'] - what the moisture
+ *   column of a table without a header holds
+ * @property {'dirspd'|'uv'} [wind='dirspd'] - whether the two wind columns of a table without a
+ *   header are direction/speed or u/v components
+ */
+
+export const DEFAULT_UNITS = {
+    pressure: 'hPa',
+    height: 'm',
+    temp: 'C',
+    windSpd: 'kt',
+    heightReference: 'msl',
+};
+
+/** Spellings seen in file headers → canonical unit */
+const UNIT_ALIASES = {
+    hpa: 'hPa', mb: 'hPa', mbar: 'hPa', millibar: 'hPa', millibars: 'hPa',
+    pa: 'Pa', kpa: 'kPa',
+    m: 'm', meter: 'm', meters: 'm', metre: 'm', metres: 'm', gpm: 'm', 'm_msl': 'm', 'm_agl': 'm',
+    km: 'km', ft: 'ft', feet: 'ft', foot: 'ft',
+    c: 'C', degc: 'C', celsius: 'C',
+    k: 'K', kelvin: 'K',
+    f: 'F', degf: 'F', fahrenheit: 'F',
+    kt: 'kt', kts: 'kt', knot: 'kt', knots: 'kt',
+    'm/s': 'm/s', ms: 'm/s', 'ms-1': 'm/s', 'm_s-1': 'm/s', mps: 'm/s',
+    mph: 'mph', 'mi/h': 'mph',
+    'km/h': 'km/h', kph: 'km/h', kmh: 'km/h', 'km_h-1': 'km/h',
+    '%': '%', pct: '%', percent: '%',
+};
+
+/**
+ * GEMPAK/BUFKIT parameter names → the field they hold and the unit the name implies.
+ * `dewpointDepression`, `relHumidity`, `windU` and `windV` are converted to
+ * dewpoint and direction/speed by normalizeLevel().
+ */
+export const SOUNDING_PARAMETERS = {
+    PRES: { field: 'pressure', unit: 'hPa' },
+    HGHT: { field: 'height', unit: 'm' },
+    HGFT: { field: 'height', unit: 'ft' },
+    TMPC: { field: 'temp', unit: 'C' },
+    TMPK: { field: 'temp', unit: 'K' },
+    TMPF: { field: 'temp', unit: 'F' },
+    DWPC: { field: 'dewpoint', unit: 'C' },
+    DWPK: { field: 'dewpoint', unit: 'K' },
+    DWPF: { field: 'dewpoint', unit: 'F' },
+    DPDC: { field: 'dewpointDepression', unit: 'C' },
+    DPDK: { field: 'dewpointDepression', unit: 'K' },
+    RELH: { field: 'relHumidity', unit: '%' },
+    DRCT: { field: 'windDir', unit: 'deg' },
+    SKNT: { field: 'windSpd', unit: 'kt' },
+    SPED: { field: 'windSpd', unit: 'm/s' },
+    UWND: { field: 'windU', unit: 'm/s' },
+    VWND: { field: 'windV', unit: 'm/s' },
+    UKNT: { field: 'windU', unit: 'kt' },
+    VKNT: { field: 'windV', unit: 'kt' },
+};
+
+/** SoundingLevel field → the source fields it can come from, in order of preference */
+export const SOURCE_FIELDS = {
+    pressure: ['pressure'],
+    height: ['height'],
+    temp: ['temp'],
+    dewpoint: ['dewpoint', 'dewpointDepression', 'relHumidity'],
+    windDir: ['windDir', 'windU'],
+    windSpd: ['windSpd', 'windV'],
+};
+
+/**
+ * Canonical name for a unit label, e.g. "deg C" → "C", "m s-1" → "m/s".
+ * @param {string|null|undefined} label
+ * @returns {string|null} null if the label isn't a recognized unit
+ */
+export function parseUnit(label) {
+    if (!label) return null;
+    const key = label
+        .trim()
+        .toLowerCase()
+        .replace(/[°º]/g, 'deg')
+        .replace(/^deg\s*(?=[cf]$)/, 'deg')
+        .replace(/\s+/g, '_')
+        .replace(/\^/g, '');
+    return UNIT_ALIASES[key] || UNIT_ALIASES[key.replace(/_/g, '')] || null;
+}
+
+/**
+ * Whether a column label marks heights as above ground level.
+ */
+export function isAglLabel(label) {
+    return /(^|[^a-z])agl([^a-z]|$)/i.test(label);
+}
+
+const round1 = v => Math.round(v * 10) / 10;
+
+/** Temperature in `unit` → °C */
+export function toCelsius(v, unit = 'C') {
+    if (v == null) return null;
+    if (unit === 'K') return round1(v - 273.15);
+    if (unit === 'F') return round1((v - 32) * 5 / 9);
+    return v;
+}
+
+/** Temperature difference in `unit` → °C difference */
+function deltaToCelsius(v, unit = 'C') {
+    if (v == null) return null;
+    return unit === 'F' ? v * 5 / 9 : v;
+}
+
+/** Speed in `unit` → knots */
+export function toKnots(v, unit = 'kt') {
+    if (v == null) return null;
+    if (unit === 'm/s') return round1(v * 1.94384);
+    if (unit === 'mph') return round1(v * 0.868976);
+    if (unit === 'km/h') return round1(v * 0.539957);
+    return v;
+}
+
+/** Length in `unit` → meters */
+export function toMeters(v, unit = 'm') {
+    if (v == null) return null;
+    if (unit === 'ft') return round1(v * 0.3048);
+    if (unit === 'km') return v * 1000;
+    return v;
+}
+
+/** Pressure in `unit` → hPa */
+export function toHectopascals(v, unit = 'hPa') {
+    if (v == null) return null;
+    if (unit === 'Pa') return v / 100;
+    if (unit === 'kPa') return v * 10;
+    return v;
+}
+
+/**
+ * Dewpoint (°C) from temperature (°C) and relative humidity (%), inverting
+ * the same Magnus form used by the thermodynamics module.
+ */
+export function dewpointFromRH(tc, rh) {
+    if (tc == null || rh == null || rh <= 0) return null;
+    const g = Math.log(Math.min(rh, 100) / 100) + (17.67 * tc) / (tc + 243.5);
+    return round1((243.5 * g) / (17.67 - g));
+}
+
+/**
+ * Direction (degrees, meteorological "from") and speed from u/v components.
+ */
+export function windFromComponents(u, v) {
+    if (u == null || v == null) return { windDir: null, windSpd: null };
+    const spd = Math.hypot(u, v);
+    const dir = spd === 0 ? 0 : (Math.atan2(-u, -v) * 180 / Math.PI + 360) % 360;
+    return { windDir: Math.round(dir), windSpd: round1(spd) };
+}
+
+/**
+ * Convert one row of source values to a SoundingLevel in working units.
+ *
+ * Moisture comes from `dewpoint` when present, otherwise from
+ * `dewpointDepression`, otherwise from `relHumidity`. Wind comes from
+ * `windDir`/`windSpd`, otherwise from `windU`/`windV`. Range checks are
+ * left to the caller.
+ *
+ * @param {Object<string, number|null>} raw - source values keyed by field
+ * @param {InputUnits} [units]
+ * @returns {{pressure: number|null, height: number|null, temp: number|null, dewpoint: number|null, windDir: number|null, windSpd: number|null}}
+ */
+export function normalizeLevel(raw, units = {}) {
+    const u = { ...DEFAULT_UNITS, ...units };
+
+    const temp = toCelsius(raw.temp ?? null, u.temp);
+
+    let dewpoint = null;
+    if (raw.dewpoint != null) {
+        dewpoint = toCelsius(raw.dewpoint, u.dewpoint || u.temp);
+    } else if (raw.dewpointDepression != null && temp != null) {
+        dewpoint = round1(temp - deltaToCelsius(raw.dewpointDepression, u.dewpointDepression || u.temp));
+    } else if (raw.relHumidity != null && temp != null) {
+        dewpoint = dewpointFromRH(temp, raw.relHumidity);
+    }
+
+    let windDir = raw.windDir ?? null;
+    let windSpd = toKnots(raw.windSpd ?? null, u.windSpd);
+    if ((windDir == null || windSpd == null) && raw.windU != null && raw.windV != null) {
+        ({ windDir, windSpd } = windFromComponents(
+            toKnots(raw.windU, u.windU || u.windSpd),
+            toKnots(raw.windV, u.windV || u.windSpd),
+        ));
+    }
+
+    return {
+        pressure: toHectopascals(raw.pressure ?? null, u.pressure),
+        height: toMeters(raw.height ?? null, u.height),
+        temp,
+        dewpoint,
+        windDir,
+        windSpd,
+    };
+}
+
+/**
+ * Shift AGL heights to MSL in place.
+ *
+ * When the heights are already MSL, or no station elevation is known, the
+ * levels are left untouched.
+ *
+ * @param {import('./sounding.js').SoundingLevel[]} levels
+ * @param {'msl'|'agl'} reference
+ * @param {number|null} elevation - station elevation, m MSL
+ * @returns {boolean} true if the heights are MSL afterwards
+ */
+export function applyHeightReference(levels, reference, elevation) {
+    if (reference !== 'agl') return true;
+    if (elevation == null || isNaN(elevation)) return false;
+    for (const l of levels) {
+        if (l.height != null) l.height = round1(l.height + elevation);
+    }
+    return true;
+}
@@ -0,0 +1,399 @@
+/**
+ * WMO TEMP (FM 35) Message Decoder
+ * Decodes TTAA (mandatory levels), TTBB (significant temperature levels and
+ * 21212 significant winds) and PPBB (significant winds by height) parts and
+ * merges them into a single SoundingLevel[] profile
+ */
+
+import { formatSoundingTime } from './sounding.js';
+import { resolveStation } from '../data/stations.js';
+import { fillHeights, pressureAtMsl } from './profile.js';
+import { toKnots } from './units.js';
+
+/**
+ * Mandatory isobaric surfaces in TTAA: indicator → pressure and height decoder.
+ * Heights up to 700 hPa are coded in meters, from 500 hPa up in decameters,
+ * with the leading digit(s) dropped. A negative 1000 hPa height is coded as 500 + |h|.
+ */
+const MANDATORY_LEVELS = {
+    '00': { pressure: 1000, height: h => (h >= 500 ? -(h - 500) : h) },
+    '92': { pressure: 925, height: h => h },
+    '85': { pressure: 850, height: h => 1000 + h },
+    '70': { pressure: 700, height: h => (h < 500 ? 3000 + h : 2000 + h) },
+    '50': { pressure: 500, height: h => h * 10 },
+    '40': { pressure: 400, height: h => h * 10 },
+    '30': { pressure: 300, height: h => (h < 500 ? (h + 1000) * 10 : h * 10) },
+    '25': { pressure: 250, height: h => (h + 1000) * 10 },
+    '20': { pressure: 200, height: h => (h + 1000) * 10 },
+    '15': { pressure: 150, height: h => (h + 1000) * 10 },
+    '10': { pressure: 100, height: h => (h + 1000) * 10 },
+};
+
+/** TTAA Id indicator → last standard surface (hPa) with a wind group */
+const WIND_TOP = { '1': 100, '2': 200, '3': 300, '4': 400, '5': 500, '7': 700, '8': 850, '0': 1000, '9': 925 };
+
+/** Groups that start regional/national sections we don't decode */
+const SECTION_END = new Set(['31313', '41414', '51515', '52525', '53535', '54545', '55555', '56565', '57575', '58585', '59595', '61616', '62626']);
+
+/**
+ * True if the text looks like an alphanumeric TEMP/PILOT message.
+ */
+export function isWmoTemp(text) {
+    return /\b(TTAA|TTBB|PPBB)\s+[\d/]{5}\s+\d{5}\b/.test(text);
+}
+
+/**
+ * Decode a TEMP message (any combination of TTAA, TTBB and PPBB parts).
+ *
+ * TEMP messages carry only the day and hour of the observation, so the month
+ * and year are taken from `options` or, if absent, assumed to be the most
+ * recent month in which that day has already occurred.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.year]
+ * @param {number} [options.month]              - 1-12
+ * @param {number} [options.pilotHeightUnit=300] - meters per PPBB height step (304.8 for US 1000-ft messages)
+ * @returns {import('./sounding.js').SoundingData}
+ */
+export function parseWmoTemp(text, options = {}) {
+    const { pilotHeightUnit = 300 } = options;
+    const parts = splitParts(text);
+
+    if (!parts.TTAA && !parts.TTBB && !parts.PPBB) {
+        throw new Error('No TTAA, TTBB or PPBB part found in the TEMP message.');
+    }
+
+    const thermo = [];      // { pressure, height?, temp, dewpoint }
+    const windsByP = [];    // { pressure, windDir, windSpd }
+    const windsByZ = [];    // { agl, windDir, windSpd }
+    let surfaceP = null;
+    let tropopause = null;
+    let maxWind = null;
+    let header = null;
+
+    if (parts.TTAA) {
+        const a = decodeTTAA(parts.TTAA);
+        header = a.header;
+        surfaceP = a.surfaceP;
+        tropopause = a.tropopause;
+        maxWind = a.maxWind;
+        thermo.push(...a.thermo);
+        windsByP.push(...a.winds);
+    }
+    if (parts.TTBB) {
+        const b = decodeTTBB(parts.TTBB);
+        header = header || b.header;
+        surfaceP = surfaceP ?? b.surfaceP;
+        thermo.push(...b.thermo);
+        windsByP.push(...b.winds);
+    }
+    if (parts.PPBB) {
+        const p = decodePPBB(parts.PPBB, pilotHeightUnit);
+        header = header || p.header;
+        windsByZ.push(...p.winds);
+    }
+
+    if (tropopause) thermo.push(tropopause);
+    if (maxWind) windsByP.push(maxWind);
+
+    const levels = mergeProfile(thermo, windsByP, windsByZ, surfaceP);
+
+    const observationTime = observationIso(header.day, header.hour, options);
+    const resolved = resolveStation(header.station);
+
+    return {
+        station: resolved ? resolved.name : header.station,
+        time: formatSoundingTime(observationTime),
+        levels,
+        meta: {
+            stationId: resolved && resolved.code !== header.station ? resolved.code : null,
+            stationNumber: header.station,
+            observationTime,
+            latitude: null,
+            longitude: null,
+            elevation: levels.length > 0 ? levels[0].height : null,
+            indices: {},
+            tropopause: tropopause ? { pressure: tropopause.pressure, temp: tropopause.temp } : null,
+            maxWind: maxWind ? { pressure: maxWind.pressure, windDir: maxWind.windDir, windSpd: maxWind.windSpd } : null,
+        },
+        source: {
+            columns: {
+                pressure: 'TTAA/TTBB levels',
+                height: 'TTAA hhh (hypsometric elsewhere)',
+                temp: 'TTTDD',
+                dewpoint: 'TTTDD',
+                windDir: 'dddff (TTAA, 21212, PPBB)',
+                windSpd: 'dddff (TTAA, 21212, PPBB)',
+            },
+        },
+    };
+}
+
+// ---- Message splitting ----
+
+/**
+ * Split the message into its TTAA/TTBB/PPBB parts as arrays of 5-character groups.
+ * A part runs until '=' or the next part identifier.
+ */
+function splitParts(text) {
+    const tokens = text.toUpperCase().replace(/=/g, ' = ').split(/\s+/).filter(t => t.length > 0);
+    const parts = {};
+    let current = null;
+
+    for (const tok of tokens) {
+        if (/^(TT|PP)(AA|BB|CC|DD)$/.test(tok)) {
+            current = [];
+            // Only the first occurrence of each part is decoded
+            if (!parts[tok]) parts[tok] = current;
+            continue;
+        }
+        if (tok === '=') {
+            current = null;
+            continue;
+        }
+        if (current && /^[\d/]{5}$/.test(tok)) current.push(tok);
+    }
+
+    return parts;
+}
+
+/**
+ * Decode the YYGGx and IIiii groups common to every part.
+ */
+function decodeHeader(groups) {
+    const yy = parseInt(groups[0].slice(0, 2), 10);
+    return {
+        day: yy > 50 ? yy - 50 : yy,
+        hour: parseInt(groups[0].slice(2, 4), 10),
+        knots: yy > 50,
+        indicator: groups[0][4],
+        station: groups[1],
+    };
+}
+
+// ---- Group decoders ----
+
+/**
+ * TTTDD → temperature and dewpoint (°C). The parity of the tenths digit gives
+ * the sign of the temperature; DD is the dewpoint depression.
+ */
+function decodeTempGroup(group) {
+    if (!group || group.slice(0, 3).includes('/')) return { temp: null, dewpoint: null };
+
+    const ttt = parseInt(group.slice(0, 3), 10);
+    const temp = (ttt % 2 === 0 ? ttt : -ttt) / 10;
+
+    const dd = group.slice(3);
+    if (dd.includes('/')) return { temp, dewpoint: null };
+    const n = parseInt(dd, 10);
+    const depression = n <= 50 ? n / 10 : n >= 56 ? n - 50 : null;
+
+    return { temp, dewpoint: depression == null ? null : Math.round((temp - depression) * 10) / 10 };
+}
+
+/**
+ * dddff → direction (°) and speed (kt). Speeds of 100+ are coded by adding
+ * 1 to the units digit of the direction.
+ */
+function decodeWindGroup(group, knots) {
+    if (!group || group.includes('/')) return null;
+    const ddd = parseInt(group.slice(0, 3), 10);
+    const ff = parseInt(group.slice(3), 10);
+    const windDir = Math.floor(ddd / 5) * 5;
+    const spd = (ddd % 5) * 100 + ff;
+    if (windDir > 360) return null;
+    return { windDir, windSpd: knots ? spd : Math.round(toKnots(spd, 'm/s')) };
+}
+
+/** PPP → pressure (hPa); values under 100 are 1000+ hPa */
+function decodePressure(ppp) {
+    const p = parseInt(ppp, 10);
+    return p < 100 ? p + 1000 : p;
+}
+
+// ---- Part decoders ----
+
+function decodeTTAA(groups) {
+    const header = decodeHeader(groups);
+    const windTop = WIND_TOP[header.indicator] ?? Infinity;
+    const thermo = [];
+    const winds = [];
+    let surfaceP = null;
+    let tropopause = null;
+    let maxWind = null;
+
+    let i = 2;
+    while (i < groups.length) {
+        const grp = groups[i];
+        if (SECTION_END.has(grp)) break;
+        const id = grp.slice(0, 2);
+        const rest = grp.slice(2);
+
+        if (id === '99') {
+            surfaceP = decodePressure(rest);
+            thermo.push({ pressure: surfaceP, ...decodeTempGroup(groups[i + 1]), surface: true });
+            const w = decodeWindGroup(groups[i + 2], header.knots);
+            if (w) winds.push({ pressure: surfaceP, ...w });
+            i += 3;
+        } else if (MANDATORY_LEVELS[id]) {
+            const { pressure, height } = MANDATORY_LEVELS[id];
+            const h = rest.includes('/') ? null : height(parseInt(rest, 10));
+            thermo.push({ pressure, height: h, ...decodeTempGroup(groups[i + 1]) });
+            i += 2;
+            if (pressure >= windTop) {
+                const w = decodeWindGroup(groups[i], header.knots);
+                if (w) winds.push({ pressure, ...w });
+                i += 1;
+            }
+        } else if (id === '88') {
+            if (rest === '999') { i += 1; continue; }
+            tropopause = { pressure: parseInt(rest, 10), ...decodeTempGroup(groups[i + 1]) };
+            const w = decodeWindGroup(groups[i + 2], header.knots);
+            if (w) winds.push({ pressure: tropopause.pressure, ...w });
+            i += 3;
+        } else if (id === '77' || id === '66') {
+            if (rest === '999') { i += 1; continue; }
+            const w = decodeWindGroup(groups[i + 1], header.knots);
+            if (w) maxWind = { pressure: parseInt(rest, 10), ...w };
+            i += 2;
+            // Optional 4vbvb vertical wind shear group
+            if (groups[i] && groups[i][0] === '4' && !SECTION_END.has(groups[i])) i += 1;
+        } else {
+            // Unknown group — stop rather than misalign everything after it
+            break;
+        }
+    }
+
+    return { header, surfaceP, thermo, winds, tropopause, maxWind };
+}
+
+function decodeTTBB(groups) {
+    const header = decodeHeader(groups);
+    const thermo = [];
+    const winds = [];
+    let surfaceP = null;
+    let inWinds = false;
+
+    let i = 2;
+    while (i < groups.length) {
+        const grp = groups[i];
+        if (grp === '21212') { inWinds = true; i += 1; continue; }
+        if (SECTION_END.has(grp)) break;
+        if (grp.slice(2).includes('/')) { i += 2; continue; }
+
+        const pressure = decodePressure(grp.slice(2));
+        if (inWinds) {
+            const w = decodeWindGroup(groups[i + 1], header.knots);
+            if (w) winds.push({ pressure, ...w });
+        } else {
+            if (grp.slice(0, 2) === '00' && surfaceP === null) surfaceP = pressure;
+            thermo.push({ pressure, ...decodeTempGroup(groups[i + 1]), surface: pressure === surfaceP });
+        }
+        i += 2;
+    }
+
+    return { header, surfaceP, thermo, winds };
+}
+
+function decodePPBB(groups, unit) {
+    const header = decodeHeader(groups);
+    const winds = [];
+
+    let i = 2;
+    while (i < groups.length) {
+        const grp = groups[i];
+        if (grp[0] !== '9' || SECTION_END.has(grp)) break;
+
+        const tens = parseInt(grp[1], 10);
+        i += 1;
+        for (const u of grp.slice(2)) {
+            if (u === '/') continue;
+            const w = decodeWindGroup(groups[i], header.knots);
+            if (w) winds.push({ agl: (tens * 10 + parseInt(u, 10)) * unit, ...w });
+            i += 1;
+        }
+    }
+
+    return { header, winds };
+}
+
+// ---- Profile assembly ----
+
+/**
+ * Merge thermodynamic levels, pressure-based winds and height-based winds into
+ * one surface-first SoundingLevel[] with hypsometric heights where missing.
+ */
+function mergeProfile(thermo, windsByP, windsByZ, surfaceP) {
+    const byP = new Map();
+    const entry = (p) => {
+        const key = Math.round(p * 10) / 10;
+        if (!byP.has(key)) {
+            byP.set(key, { pressure: key, height: null, temp: null, dewpoint: null, windDir: null, windSpd: null });
+        }
+        return byP.get(key);
+    };
+
+    for (const t of thermo) {
+        const e = entry(t.pressure);
+        if (t.height != null) e.height = t.height;
+        if (t.temp != null) {
+            e.temp = t.temp;
+            e.dewpoint = t.dewpoint;
+        }
+    }
+    for (const w of windsByP) {
+        const e = entry(w.pressure);
+        e.windDir = w.windDir;
+        e.windSpd = w.windSpd;
+    }
+
+    let levels = [...byP.values()]
+        .filter(l => surfaceP == null || l.pressure <= surfaceP)
+        .sort((a, b) => b.pressure - a.pressure);
+
+    fillHeights(levels);
+
+    // Height-based (PPBB) winds: place them in pressure using the now-complete height profile
+    if (windsByZ.length > 0 && levels.length > 1) {
+        const sfcH = levels[0].height;
+        for (const w of windsByZ) {
+            const z = sfcH + w.agl;
+            const p = pressureAtMsl(levels, z);
+            if (p == null) continue;
+
+            const match = levels.find(l => Math.abs(l.pressure - p) < 0.5);
+            if (match) {
+                if (match.windDir == null) {
+                    match.windDir = w.windDir;
+                    match.windSpd = w.windSpd;
+                }
+                continue;
+            }
+            levels.push({ pressure: Math.round(p * 10) / 10, height: Math.round(z), temp: null, dewpoint: null, windDir: w.windDir, windSpd: w.windSpd });
+        }
+        levels.sort((a, b) => b.pressure - a.pressure);
+    }
+
+    levels = levels.filter(l => l.height != null && (l.temp != null || l.windSpd != null));
+    return levels;
+}
+
+/**
+ * Build an ISO observation time from the day/hour in the message.
+ */
+function observationIso(day, hour, { year, month } = {}) {
+    if (year == null || month == null) {
+        const now = new Date();
+        let y = now.getUTCFullYear();
+        let m = now.getUTCMonth() + 1;
+        if (day > now.getUTCDate()) {
+            m -= 1;
+            if (m === 0) { m = 12; y -= 1; }
+        }
+        year = year ?? y;
+        month = month ?? m;
+    }
+    const pad = n => String(n).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:00Z`;
+}
@@ -1,9 +1,11 @@
 /**
  * Hodograph Diagram Renderer
- * Displays wind profile as a color-coded trace with storm motion vectors and SRH shading
+ * Displays wind profile as a color-coded trace with storm motion vectors and SRH shading,
+ * plus an inset storm-relative wind profile
  */
 
 const RING_MAX = 80;  // Max speed in knots for rings
+const SR_PROFILE_TOP = 12000;  // m AGL
 
 // Height layer colors (by AGL in km)
 const LAYER_COLORS = [
@@ -30,7 +32,8 @@ export class HodographDiagram {
     }
 
     setData(levels, analysis) {
-        this.data = levels;
+        // Only levels with a wind observation belong on the hodograph
+        this.data = levels.filter(l => l.windDir != null && l.windSpd != null);
         this.analysis = analysis;
         this.draw();
     }
@@ -43,8 +46,11 @@ export class HodographDiagram {
         this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
         this.W = rect.width;
         this.H = rect.height;
-        this.size = Math.min(this.W, this.H);
-        this.cx = this.W / 2;
+        // Right-hand strip for the storm-relative wind profile inset
+        this.insetW = this.analysis?.srWindProfile?.length && this.W >= 360 ? Math.round(this.W * 0.2) : 0;
+        const plotW = this.W - this.insetW;
+        this.size = Math.min(plotW, this.H);
+        this.cx = plotW / 2;
         this.cy = this.H / 2;
         this.radius = (this.size - this.padding * 2) / 2;
     }
@@ -74,6 +80,7 @@ export class HodographDiagram {
             this._drawStormMotion();
             this._drawLegend();
             this._drawHeightLabels();
+            this._drawSRProfile();
         }
 
         this._drawHover();
@@ -144,11 +151,11 @@ export class HodographDiagram {
     }
 
     _drawSRHShading() {
-        if (!this.analysis || !this.analysis.bunkers) return;
+        if (!this.analysis || !this.analysis.stormMotion) return;
         const ctx = this.ctx;
         const sfcH = this.analysis.sfcHeight;
-        const bunkers = this.analysis.bunkers;
-        const storm = this.uvToXY(bunkers.right.u, bunkers.right.v);
+        const motion = this.analysis.stormMotion;
+        const storm = this.uvToXY(motion.u, motion.v);
 
         // Shade 0-3km SRH area
         const layerLevels = this.data.filter(l => (l.height - sfcH) >= 0 && (l.height - sfcH) <= 3000);
@@ -273,6 +280,36 @@ export class HodographDiagram {
 
         ctx.fillStyle = '#3b82f6';
         ctx.fillText('LM', lPt.x + 10, lPt.y);
+
+        // 0-6 km mean wind and Corfidi vectors: small squares
+        const a = this.analysis;
+        const marks = [];
+        if (a.meanWind06) marks.push({ m: a.meanWind06, label: 'MW', color: '#94a3b8' });
+        if (a.corfidi) {
+            marks.push({ m: a.corfidi.upwind, label: 'UP', color: '#a3e635' });
+            marks.push({ m: a.corfidi.downwind, label: 'DN', color: '#f472b6' });
+        }
+        for (const { m, label, color } of marks) {
+            const pt = this.uvToXY(m.u, m.v);
+            ctx.fillStyle = color;
+            ctx.fillRect(pt.x - 4, pt.y - 4, 8, 8);
+            ctx.fillText(label, pt.x + 8, pt.y);
+        }
+
+        // User-defined storm motion
+        if (a.stormMotion?.source === 'user') {
+            const pt = this.uvToXY(a.stormMotion.u, a.stormMotion.v);
+            ctx.strokeStyle = '#fbbf24';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(pt.x - 6, pt.y - 6);
+            ctx.lineTo(pt.x + 6, pt.y + 6);
+            ctx.moveTo(pt.x + 6, pt.y - 6);
+            ctx.lineTo(pt.x - 6, pt.y + 6);
+            ctx.stroke();
+            ctx.fillStyle = '#fbbf24';
+            ctx.fillText('SM', pt.x + 10, pt.y);
+        }
     }
 
     _drawLegend() {
@@ -294,6 +331,92 @@ export class HodographDiagram {
         }
     }
 
+    _drawSRProfile() {
+        if (!this.insetW) return;
+        const ctx = this.ctx;
+        const a = this.analysis;
+        const x0 = this.W - this.insetW + 14;
+        const x1 = this.W - 10;
+        const top = 40;
+        const bottom = this.H - 78;
+        const xAt = (kt) => x0 + (Math.min(kt, RING_MAX) / RING_MAX) * (x1 - x0);
+        const yAt = (h) => bottom - (h / SR_PROFILE_TOP) * (bottom - top);
+
+        ctx.fillStyle = 'rgba(0,0,0,0.25)';
+        ctx.fillRect(x0, top, x1 - x0, bottom - top);
+
+        // Mid-level and anvil-level layers
+        const bands = [
+            { bot: 4000, top: 6000, label: '4-6', color: 'rgba(234,179,8,0.12)' },
+            { bot: 9000, top: 11000, label: '9-11', color: 'rgba(148,163,184,0.12)' },
+        ];
+        ctx.font = '9px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        for (const b of bands) {
+            ctx.fillStyle = b.color;
+            ctx.fillRect(x0, yAt(b.top), x1 - x0, yAt(b.bot) - yAt(b.top));
+            ctx.fillStyle = 'rgba(255,255,255,0.35)';
+            ctx.fillText(b.label, x0 + 2, yAt((b.bot + b.top) / 2));
+        }
+
+        // Speed gridlines
+        ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let kt = 20; kt < RING_MAX; kt += 20) {
+            ctx.beginPath();
+            ctx.moveTo(xAt(kt), top);
+            ctx.lineTo(xAt(kt), bottom);
+            ctx.stroke();
+            ctx.fillStyle = 'rgba(255,255,255,0.3)';
+            ctx.fillText(kt, xAt(kt), bottom + 2);
+        }
+
+        // Height ticks
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let km = 0; km <= SR_PROFILE_TOP / 1000; km += 3) {
+            ctx.fillStyle = 'rgba(255,255,255,0.3)';
+            ctx.fillText(km, x0 - 2, yAt(km * 1000));
+        }
+
+        // Profile, colored by height layer
+        ctx.lineWidth = 2;
+        const prof = a.srWindProfile;
+        for (let i = 0; i < prof.length - 1; i++) {
+            ctx.strokeStyle = this._getLayerColor(prof[i].height);
+            ctx.beginPath();
+            ctx.moveTo(xAt(prof[i].speed), yAt(prof[i].height));
+            ctx.lineTo(xAt(prof[i + 1].speed), yAt(prof[i + 1].height));
+            ctx.stroke();
+        }
+
+        // Title and readouts
+        const cx = (x0 + x1) / 2;
+        ctx.font = '600 10px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillStyle = 'rgba(255,255,255,0.6)';
+        ctx.fillText('SR WIND (kt)', cx, top - 4);
+
+        const fmt = (v, unit) => (v == null ? '—' : `${v}${unit}`);
+        const rows = [
+            `CA ${fmt(a.criticalAngle, '°')}`,
+            `SW ${fmt(a.streamwiseFraction, '%')}`,
+            `4-6 ${fmt(a.srWind46, ' kt')}`,
+            `9-11 ${fmt(a.srWind911, ' kt')}`,
+        ];
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textBaseline = 'top';
+        let y = bottom + 16;
+        for (const row of rows) {
+            ctx.fillText(row, cx, y);
+            y += 13;
+        }
+    }
+
     _drawHover() {
         if (this.hoverIdx < 0 || !this.data) return;
         const l = this.data[this.hoverIdx];
@@ -1,6 +1,6 @@
 /**
  * Skew-T / Log-P Diagram Renderer
- * Draws temperature/dewpoint traces, adiabats, wind barbs, CAPE/CIN shading, and parcel path
+ * Draws temperature/dewpoint traces, adiabats, wind barbs, CAPE/CIN shading, and parcel paths
  */
 
 const PMIN = 100;   // top of diagram (hPa)
@@ -9,27 +9,64 @@ const TMIN = -40;   // left edge (°C) at PMAX
 const TMAX = 50;    // right edge (°C) at PMAX
 const SKEW = 37;    // skew angle in degrees
 
+/**
+ * Log-pressure interpolation of a level field, bridging missing values.
+ */
+function interp(levels, p, field) {
+    const valid = levels.filter(l => l[field] != null);
+    for (let i = 0; i < valid.length - 1; i++) {
+        const a = valid[i], b = valid[i + 1];
+        if (a.pressure >= p && b.pressure <= p) {
+            const frac = (Math.log(p) - Math.log(a.pressure)) / (Math.log(b.pressure) - Math.log(a.pressure));
+            return a[field] + frac * (b[field] - a[field]);
+        }
+    }
+    return null;
+}
+
 export class SkewTDiagram {
     constructor(canvas) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.data = null;
         this.analysis = null;
+        this.qc = null;
+        this.showVirtual = false;
+        this.original = null;
         this.hoverP = null;
         this.padding = { top: 30, right: 55, bottom: 30, left: 50 };
 
         this._onMouseMove = this._onMouseMove.bind(this);
         this._onMouseLeave = this._onMouseLeave.bind(this);
+        this._onClick = this._onClick.bind(this);
         canvas.addEventListener('mousemove', this._onMouseMove);
         canvas.addEventListener('mouseleave', this._onMouseLeave);
+        canvas.addEventListener('click', this._onClick);
     }
 
-    setData(levels, analysis) {
+    /**
+     * @param {Object} [overlays]
+     * @param {import('../parser/qc.js').QcReport} [overlays.qc] - suspect levels to circle
+     * @param {boolean} [overlays.showVirtual] - draw the environmental virtual temperature trace
+     * @param {import('../parser/sounding.js').SoundingLevel[]} [overlays.original] - observed levels to draw
+     *   beneath a surface-modified sounding
+     */
+    setData(levels, analysis, { qc = null, showVirtual = false, original = null } = {}) {
         this.data = levels;
         this.analysis = analysis;
+        this.qc = qc;
+        this.showVirtual = showVirtual;
+        this.original = original;
         this.draw();
     }
 
+    /**
+     * Parcel temperature to plot: virtual when the analysis used the virtual temperature correction.
+     */
+    _parcelT(pt) {
+        return this.analysis.virtual && pt.tv != null ? pt.tv : pt.temp;
+    }
+
     _resize() {
         const rect = this.canvas.parentElement.getBoundingClientRect();
         const dpr = window.devicePixelRatio || 1;
@@ -84,10 +121,18 @@ export class SkewTDiagram {
 
         if (this.data && this.analysis) {
             this._drawCAPE_CIN();
+            this._drawWinterLayers();
+            this._drawFeatures();
+            this._drawOriginalTraces();
             this._drawTraces();
             this._drawParcel();
+            this._drawEntrainingParcel();
+            this._drawCustomParcel();
+            this._drawDowndraft();
             this._drawWindBarbs();
             this._drawMarkers();
+            this._drawEffectiveLayer();
+            this._drawQCFlags();
         }
 
         this._drawHoverLine();
@@ -189,19 +234,23 @@ export class SkewTDiagram {
         if (!this.analysis || !this.analysis.sbParcel) return;
         const ctx = this.ctx;
         const parcel = this.analysis.sbParcel;
-        const levels = this.data;
+
+        // Buoyancy is shaded against the same environment the CAPE was computed from
+        const tempLevels = this.analysis.virtual && this.analysis.virtualProfile
+            ? this.analysis.virtualProfile.map(l => ({ pressure: l.pressure, temp: l.tv }))
+            : this.data.filter(l => l.temp != null);
 
         // Draw CAPE (positive buoyancy) and CIN (negative buoyancy) areas
         for (let i = 0; i < parcel.length - 1; i++) {
             const p1 = parcel[i].pressure;
             const p2 = parcel[i + 1].pressure;
-            const pt1 = parcel[i].temp;
-            const pt2 = parcel[i + 1].temp;
+            const pt1 = this._parcelT(parcel[i]);
+            const pt2 = this._parcelT(parcel[i + 1]);
 
             // Find env temp
             let et1 = null, et2 = null;
-            for (let j = 0; j < levels.length - 1; j++) {
-                const a = levels[j], b = levels[j + 1];
+            for (let j = 0; j < tempLevels.length - 1; j++) {
+                const a = tempLevels[j], b = tempLevels[j + 1];
                 if (a.pressure >= p1 && b.pressure <= p1) {
                     const frac = (Math.log(p1) - Math.log(a.pressure)) / (Math.log(b.pressure) - Math.log(a.pressure));
                     et1 = a.temp + frac * (b.temp - a.temp);
@@ -226,6 +275,136 @@ export class SkewTDiagram {
         }
     }
 
+    /**
+     * Shade melting (above 0 °C) and refreezing layers between the wet-bulb
+     * profile and the 0 °C isotherm, with the wet-bulb trace on top.
+     */
+    _drawWinterLayers() {
+        const w = this.analysis.winter;
+        if (!w?.relevant || w.wetBulbProfile.length < 2) return;
+        const ctx = this.ctx;
+        const profile = w.wetBulbProfile;
+
+        for (const layer of w.thermalLayers) {
+            const melting = layer.warm;
+            const refreezing = layer === w.refreezingLayer;
+            if (!melting && !refreezing) continue;
+
+            ctx.fillStyle = melting ? 'rgba(239,68,68,0.18)' : 'rgba(59,130,246,0.22)';
+            ctx.beginPath();
+            ctx.moveTo(this.tToX(0, layer.bottomPressure), this.pToY(layer.bottomPressure));
+            for (const pt of profile) {
+                if (pt.pressure > layer.bottomPressure || pt.pressure < layer.topPressure) continue;
+                ctx.lineTo(this.tToX(pt.tw, pt.pressure), this.pToY(pt.pressure));
+            }
+            ctx.lineTo(this.tToX(0, layer.topPressure), this.pToY(layer.topPressure));
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        ctx.strokeStyle = 'rgba(96,165,250,0.8)';
+        ctx.lineWidth = 1.2;
+        ctx.beginPath();
+        profile.forEach((pt, i) => {
+            const x = this.tToX(pt.tw, pt.pressure);
+            const y = this.pToY(pt.pressure);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Observed temperature and dewpoint, dashed, under a what-if sounding.
+     */
+    _drawFeatures() {
+        const f = this.analysis.features;
+        if (!f) return;
+        const ctx = this.ctx;
+        const temps = this.data.filter(l => l.temp != null && l.pressure >= PMIN);
+
+        // Highlight a layer along the temperature trace and label it to the right
+        const layer = (bottomP, topP, color, textColor, label) => {
+            const pts = temps.filter(l => l.pressure <= bottomP + 0.5 && l.pressure >= topP - 0.5);
+            if (pts.length < 2) return;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 7;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            pts.forEach((l, i) => {
+                const x = this.tToX(l.temp, l.pressure);
+                const y = this.pToY(l.pressure);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+            ctx.lineCap = 'butt';
+
+            const warmest = pts.reduce((m, l) => (l.temp > m.temp ? l : m));
+            ctx.fillStyle = textColor;
+            ctx.font = 'bold 10px Inter, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, this.tToX(warmest.temp, warmest.pressure) + 8, this.pToY(Math.sqrt(bottomP * topP)));
+        };
+
+        if (f.eml) layer(f.eml.bottomPressure, f.eml.topPressure, 'rgba(234,88,12,0.3)', '#fb923c', `EML ${f.eml.lapseRate}°C/km`);
+        for (const inv of f.inversions) {
+            const name = { surface: 'SFC INV', capping: 'CAP', elevated: 'INV' }[inv.type];
+            layer(inv.bottomPressure, inv.topPressure, 'rgba(250,204,21,0.4)', '#facc15', `${name} +${inv.strength}°`);
+        }
+
+        // Tropopause
+        if (f.tropopause && f.tropopause.pressure >= PMIN) {
+            const y = this.pToY(f.tropopause.pressure);
+            ctx.strokeStyle = '#94a3b8';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([8, 4]);
+            ctx.beginPath();
+            ctx.moveTo(this.padding.left, y);
+            ctx.lineTo(this.W - this.padding.right, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = '#94a3b8';
+            ctx.font = 'bold 10px Inter, sans-serif';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText('TROP', this.W - this.padding.right - 3, y - 2);
+        }
+
+        // Wind maxima, labelled beside the barbs
+        const winds = [];
+        if (f.llj) winds.push({ p: f.llj.pressure, label: `LLJ ${f.llj.speed} kt` });
+        if (f.jetMax && f.jetMax.pressure >= PMIN) winds.push({ p: f.jetMax.pressure, label: `JET ${f.jetMax.speed} kt` });
+        ctx.fillStyle = '#38bdf8';
+        ctx.font = 'bold 10px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (const w of winds) {
+            ctx.fillText(`${w.label} ▸`, this.W - this.padding.right - 3, this.pToY(w.p));
+        }
+    }
+    _drawOriginalTraces() {
+        if (!this.original) return;
+        const ctx = this.ctx;
+
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([5, 4]);
+        for (const [field, color] of [['temp', 'rgba(239,68,68,0.5)'], ['dewpoint', 'rgba(34,197,94,0.5)']]) {
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            this.original.filter(l => l[field] != null).forEach((l, i) => {
+                const x = this.tToX(l[field], l.pressure);
+                const y = this.pToY(l.pressure);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+    }
+
     _drawTraces() {
         const ctx = this.ctx;
         const levels = this.data;
@@ -236,7 +415,7 @@ export class SkewTDiagram {
         ctx.lineJoin = 'round';
         ctx.lineCap = 'round';
         ctx.beginPath();
-        levels.forEach((l, i) => {
+        levels.filter(l => l.temp != null).forEach((l, i) => {
             const x = this.tToX(l.temp, l.pressure);
             const y = this.pToY(l.pressure);
             if (i === 0) ctx.moveTo(x, y);
@@ -244,11 +423,27 @@ export class SkewTDiagram {
         });
         ctx.stroke();
 
-        // Dewpoint trace
+        // Virtual temperature trace
+        if (this.showVirtual && this.analysis?.virtualProfile) {
+            ctx.strokeStyle = 'rgba(239,68,68,0.7)';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            this.analysis.virtualProfile.forEach((l, i) => {
+                const x = this.tToX(l.tv, l.pressure);
+                const y = this.pToY(l.pressure);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Dewpoint trace (missing levels are bridged)
         ctx.strokeStyle = '#22c55e';
         ctx.lineWidth = 2.5;
         ctx.beginPath();
-        levels.forEach((l, i) => {
+        levels.filter(l => l.dewpoint != null).forEach((l, i) => {
             const x = this.tToX(l.dewpoint, l.pressure);
             const y = this.pToY(l.pressure);
             if (i === 0) ctx.moveTo(x, y);
@@ -267,7 +462,88 @@ export class SkewTDiagram {
         ctx.setLineDash([6, 4]);
         ctx.beginPath();
         parcel.forEach((p, i) => {
-            const x = this.tToX(p.temp, p.pressure);
+            const x = this.tToX(this._parcelT(p), p.pressure);
+            const y = this.pToY(p.pressure);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Entraining SB parcel beside the undilute one; the gap between them is
+     * the instability lost to mixing.
+     */
+    _drawEntrainingParcel() {
+        const parcel = this.analysis.sbEntrainingParcel;
+        if (!parcel || parcel.length < 2) return;
+        const ctx = this.ctx;
+
+        ctx.strokeStyle = 'rgba(251,146,60,0.8)';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([1, 3]);
+        ctx.beginPath();
+        parcel.forEach((p, i) => {
+            const x = this.tToX(this._parcelT(p), p.pressure);
+            const y = this.pToY(p.pressure);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Label where the trace leaves the plot or ends
+        const top = parcel.filter(p => p.pressure >= PMIN).at(-1);
+        ctx.fillStyle = 'rgba(251,146,60,0.9)';
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText('entraining', this.tToX(this._parcelT(top), top.pressure) - 4, this.pToY(top.pressure) + 2);
+    }
+
+    _drawCustomParcel() {
+        const cp = this.analysis.customParcel;
+        if (!cp || cp.parcel.length < 2) return;
+        const ctx = this.ctx;
+
+        ctx.strokeStyle = 'rgba(34,211,238,0.85)';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([8, 3, 2, 3]);
+        ctx.beginPath();
+        cp.parcel.forEach((p, i) => {
+            const x = this.tToX(this._parcelT(p), p.pressure);
+            const y = this.pToY(p.pressure);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Source point
+        const x = this.tToX(cp.source.temp, cp.source.pressure);
+        const y = this.pToY(cp.source.pressure);
+        ctx.fillStyle = '#22d3ee';
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('custom', x + 7, y);
+    }
+
+    _drawDowndraft() {
+        const parcel = this.analysis.downdraftParcel;
+        if (!parcel || parcel.length < 2) return;
+        const ctx = this.ctx;
+
+        ctx.strokeStyle = 'rgba(167,139,250,0.8)';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        parcel.forEach((p, i) => {
+            const x = this.tToX(this._parcelT(p), p.pressure);
             const y = this.pToY(p.pressure);
             if (i === 0) ctx.moveTo(x, y);
             else ctx.lineTo(x, y);
@@ -287,6 +563,7 @@ export class SkewTDiagram {
         const targetPs = [1000, 975, 950, 925, 900, 875, 850, 800, 750, 700, 650, 600, 550, 500, 400, 300, 250, 200, 150];
 
         for (const lev of levels) {
+            if (lev.windDir == null || lev.windSpd == null) continue;
             // Find closest target
             let closest = null;
             for (const tp of targetPs) {
@@ -398,6 +675,57 @@ export class SkewTDiagram {
         }
     }
 
+    /**
+     * Bracket the effective inflow layer along the left edge of the plot.
+     */
+    _drawEffectiveLayer() {
+        const eff = this.analysis.effectiveLayer;
+        if (!eff) return;
+        const ctx = this.ctx;
+
+        const x = this.padding.left + 14;
+        const yBot = this.pToY(eff.bottomPressure);
+        const yTop = this.pToY(eff.topPressure);
+
+        ctx.strokeStyle = '#22d3ee';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x + 5, yBot);
+        ctx.lineTo(x, yBot);
+        ctx.lineTo(x, yTop);
+        ctx.lineTo(x + 5, yTop);
+        ctx.stroke();
+
+        ctx.fillStyle = '#22d3ee';
+        ctx.font = 'bold 10px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`EIL ${this.analysis.esrh}`, x + 8, (yBot + yTop) / 2);
+    }
+
+    _drawQCFlags() {
+        if (!this.qc || this.qc.issues.length === 0) return;
+        const ctx = this.ctx;
+
+        ctx.lineWidth = 1.5;
+        for (const issue of this.qc.issues) {
+            const lev = this.data.find(l => Math.abs(l.pressure - issue.pressure) < 0.05);
+            if (!lev || issue.pressure < PMIN || issue.pressure > PMAX) continue;
+
+            const y = this.pToY(issue.pressure);
+            let x;
+            if (issue.check === 'wind-spike') x = this.W - this.padding.right + 25;
+            else if (issue.check === 'dewpoint-exceeds-temp' && lev.dewpoint != null) x = this.tToX(lev.dewpoint, lev.pressure);
+            else if (lev.temp != null) x = this.tToX(lev.temp, lev.pressure);
+            else continue;
+
+            ctx.strokeStyle = issue.action === 'flagged' ? '#f97316' : '#eab308';
+            ctx.beginPath();
+            ctx.arc(x, y, 7, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+
     _drawHoverLine() {
         if (this.hoverP === null || !this.data) return;
         const ctx = this.ctx;
@@ -413,6 +741,22 @@ export class SkewTDiagram {
         ctx.setLineDash([]);
     }
 
+    /**
+     * Clicking picks the sounding's temperature and dewpoint at that pressure
+     * for a custom parcel; listeners get a `parcelpick` event on the canvas.
+     */
+    _onClick(e) {
+        if (!this.data) return;
+        const rect = this.canvas.getBoundingClientRect();
+        const pressure = this.yToP(e.clientY - rect.top);
+        if (pressure > this.data[0].pressure || pressure < PMIN) return;
+
+        const temp = interp(this.data, pressure, 'temp');
+        const dewpoint = interp(this.data, pressure, 'dewpoint');
+        if (temp == null || dewpoint == null) return;
+        this.canvas.dispatchEvent(new CustomEvent('parcelpick', { detail: { pressure, temp, dewpoint: Math.min(dewpoint, temp) } }));
+    }
+
     _onMouseMove(e) {
         const rect = this.canvas.getBoundingClientRect();
         const y = e.clientY - rect.top;
@@ -439,26 +783,21 @@ export class SkewTDiagram {
         if (!infoEl) return;
 
         // Interpolate values
-        const levels = this.data;
-        let t = null, td = null, h = null;
-        for (let i = 0; i < levels.length - 1; i++) {
-            const a = levels[i], b = levels[i + 1];
-            if (a.pressure >= this.hoverP && b.pressure <= this.hoverP) {
-                const frac = (Math.log(this.hoverP) - Math.log(a.pressure)) / (Math.log(b.pressure) - Math.log(a.pressure));
-                t = (a.temp + frac * (b.temp - a.temp)).toFixed(1);
-                td = (a.dewpoint + frac * (b.dewpoint - a.dewpoint)).toFixed(1);
-                h = Math.round(a.height + frac * (b.height - a.height));
-                break;
-            }
-        }
+        const t = interp(this.data, this.hoverP, 'temp');
+        const td = interp(this.data, this.hoverP, 'dewpoint');
+        const h = interp(this.data, this.hoverP, 'height');
 
         if (t !== null) {
-            infoEl.textContent = `${Math.round(this.hoverP)} hPa  |  ${h}m  |  T: ${t}°C  Td: ${td}°C`;
+            const tdText = td !== null ? `${td.toFixed(1)}°C` : 'M';
+            const issue = this.qc?.issues.find(i => Math.abs(Math.log(i.pressure / this.hoverP)) < 0.01);
+            infoEl.textContent = `${Math.round(this.hoverP)} hPa  |  ${Math.round(h)}m  |  T: ${t.toFixed(1)}°C  Td: ${tdText}` +
+                (issue ? `  |  QC: ${issue.message}` : '');
         }
     }
 
     destroy() {
         this.canvas.removeEventListener('mousemove', this._onMouseMove);
         this.canvas.removeEventListener('mouseleave', this._onMouseLeave);
+        this.canvas.removeEventListener('click', this._onClick);
     }
 }